@@ -1,48 +1,168 @@
 // Small fully-connected neural network visualizer
-// Architecture: 2 inputs -> H hidden neurons -> 1 output (all sigmoid).
-// H (the number of hidden neurons) can be changed with a slider.
+// Architecture: 1 to 6 inputs -> any number of hidden layers -> 1 to 4 outputs.
+// Hidden layers can be added and removed, each one has its own width,
+// and every layer (output included) picks its own activation function.
+// The math itself lives in engine.js; this file is the UI around it.
 
 const svg = document.getElementById("network-svg");
+const inspectorEl = document.getElementById("inspector");
+const inspectorTitleEl = document.getElementById("inspector-title");
+const inspectorBodyEl = document.getElementById("inspector-body");
+const btnCloseInspector = document.getElementById("btn-close-inspector");
+const animateFlowCheckbox = document.getElementById("animate-flow");
+const flowGranularitySelect = document.getElementById("flow-granularity");
+const flowSpeedSlider = document.getElementById("flow-speed");
+const flowSpeedVal = document.getElementById("flow-speed-value");
+const btnReplayFlow = document.getElementById("btn-replay-flow");
+const flowControlsEl = document.getElementById("flow-controls");
 const stepTitleEl = document.getElementById("step-title");
 const equationsEl = document.getElementById("equations");
 const stepExplainerEl = document.getElementById("step-explainer");
 const valuesTableEl = document.getElementById("values-table");
+const matrixViewCheckbox = document.getElementById("matrix-view");
+const practiceCheckbox = document.getElementById("practice-mode");
+const practiceBarEl = document.getElementById("practice-bar");
+const practiceScoreEl = document.getElementById("practice-score");
+const btnNewRound = document.getElementById("btn-new-round");
 const variableLegendEl = document.getElementById("variable-legend");
+const stepsListEl = document.getElementById("steps-list");
+const hiddenLayersEl = document.getElementById("hidden-layers");
 
-const inputX1 = document.getElementById("input-x1");
-const inputX2 = document.getElementById("input-x2");
+const inputSlidersEl = document.getElementById("input-sliders");
+const inputCountSlider = document.getElementById("input-count");
+const inputCountVal = document.getElementById("input-count-value");
+const featureNoteEl = document.getElementById("feature-note");
 const targetY = document.getElementById("target-y");
+const targetYLabel = document.getElementById("target-y-label");
+const extraTargetsEl = document.getElementById("extra-targets");
+const targetClassGroupEl = document.getElementById("target-class-group");
+const targetClassSelect = document.getElementById("target-class");
 const lrSlider = document.getElementById("learning-rate");
-const hiddenCountSlider = document.getElementById("hidden-count");
+const lossSelect = document.getElementById("loss-function");
 
-const inputX1Val = document.getElementById("input-x1-value");
-const inputX2Val = document.getElementById("input-x2-value");
 const targetYVal = document.getElementById("target-y-value");
 const lrVal = document.getElementById("learning-rate-value");
-const hiddenCountVal = document.getElementById("hidden-count-value");
+const lrScheduleSelect = document.getElementById("lr-schedule");
+const lrScheduleNoteEl = document.getElementById("lr-schedule-note");
+const optimizerSelect = document.getElementById("optimizer");
+const weightDecaySlider = document.getElementById("weight-decay");
+const weightDecayVal = document.getElementById("weight-decay-value");
 
 const btnPrev = document.getElementById("btn-prev");
 const btnNext = document.getElementById("btn-next");
 const btnReset = document.getElementById("btn-reset");
+const initSchemeSelect = document.getElementById("init-scheme");
+const initSeedInput = document.getElementById("init-seed");
+const initNoteEl = document.getElementById("init-note");
+const btnNewSeed = document.getElementById("btn-new-seed");
+const paramEditorEl = document.getElementById("param-editor");
+const paramEditorGridEl = document.getElementById("param-editor-grid");
+const btnApply = document.getElementById("btn-apply");
+const btnUndo = document.getElementById("btn-undo");
+const btnRedo = document.getElementById("btn-redo");
+const btnSaveState = document.getElementById("btn-save-state");
+const btnLoadState = document.getElementById("btn-load-state");
+const btnCopyLink = document.getElementById("btn-copy-link");
+const btnExportMarkdown = document.getElementById("btn-export-markdown");
+const btnExportHtml = document.getElementById("btn-export-html");
+const stateFileInput = document.getElementById("state-file");
+const stateStatusEl = document.getElementById("state-status");
+const btnAddLayer = document.getElementById("btn-add-layer");
+const outputActivationSelect = document.getElementById("output-activation");
+const outputCountSlider = document.getElementById("output-count");
+const outputCountVal = document.getElementById("output-count-value");
 
-const stepItems = Array.from(document.querySelectorAll(".step-item"));
+const dataModeSelect = document.getElementById("data-mode");
+const datasetSelect = document.getElementById("dataset-select");
+const batchModeSelect = document.getElementById("batch-mode");
+const batchSizeSlider = document.getElementById("batch-size");
+const batchSizeVal = document.getElementById("batch-size-value");
+const clickLabelSelect = document.getElementById("click-label");
+const datasetControlsEl = document.getElementById("dataset-controls");
+const batchSizeGroupEl = document.getElementById("batch-size-group");
+const btnRegenerate = document.getElementById("btn-regenerate");
+const btnRemovePoint = document.getElementById("btn-remove-point");
+const btnClearPoints = document.getElementById("btn-clear-points");
+const datasetPanelEl = document.getElementById("dataset-panel");
+const datasetSvg = document.getElementById("dataset-svg");
+const datasetSummaryEl = document.getElementById("dataset-summary");
 
+const btnPlay = document.getElementById("btn-play");
+const btnPause = document.getElementById("btn-pause");
+const btnTrainSteps = document.getElementById("btn-train-steps");
+const trainStepsInput = document.getElementById("train-steps");
+const trainSpeedSlider = document.getElementById("train-speed");
+const trainSpeedVal = document.getElementById("train-speed-value");
+const trainStatusEl = document.getElementById("train-status");
+
+const validationSplitCheckbox = document.getElementById("validation-split");
+const lossChartSvg = document.getElementById("loss-chart");
+const lossChartSummaryEl = document.getElementById("loss-chart-summary");
+const lossLogScaleCheckbox = document.getElementById("loss-log-scale");
+const lossSmoothingSlider = document.getElementById("loss-smoothing");
+const lossSmoothingVal = document.getElementById("loss-smoothing-value");
+const compareCheckbox = document.getElementById("compare-mode");
+const compareBodyEl = document.getElementById("compare-body");
+const compareLrInput = document.getElementById("compare-lr");
+const compareOptimizerSelect = document.getElementById("compare-optimizer");
+const compareScheduleSelect = document.getElementById("compare-schedule");
+const compareHiddenInput = document.getElementById("compare-hidden");
+const btnCompareRestart = document.getElementById("btn-compare-restart");
+const compareSummaryEl = document.getElementById("compare-summary");
+const compareATitleEl = document.getElementById("compare-a-title");
+const compareBTitleEl = document.getElementById("compare-b-title");
+const compareADiagram = document.getElementById("compare-a-diagram");
+const compareBDiagram = document.getElementById("compare-b-diagram");
+const compareAValuesEl = document.getElementById("compare-a-values");
+const compareBValuesEl = document.getElementById("compare-b-values");
+const compareChartSvg = document.getElementById("compare-chart");
+const lrFinderSvg = document.getElementById("lr-finder-chart");
+const lrFinderSummaryEl = document.getElementById("lr-finder-summary");
+const btnLrFinder = document.getElementById("btn-lr-finder");
+const btnUseLr = document.getElementById("btn-use-lr");
+
+const outputMapCanvas = document.getElementById("output-map");
+const outputMapOverlay = document.getElementById("output-map-overlay");
+const outputMapSummaryEl = document.getElementById("output-map-summary");
+const hiddenMapsCheckbox = document.getElementById("show-hidden-maps");
+const hiddenMapsEl = document.getElementById("hidden-maps");
+const mapOutputSelect = document.getElementById("map-output");
+
+const landscapeCanvas = document.getElementById("loss-landscape");
+const landscapeOverlay = document.getElementById("loss-landscape-overlay");
+const landscapeSummaryEl = document.getElementById("loss-landscape-summary");
+const landscapeXSelect = document.getElementById("landscape-x");
+const landscapeYSelect = document.getElementById("landscape-y");
+const landscapeSpanSelect = document.getElementById("landscape-span");
+
+const gradientCheckEpsilonInput = document.getElementById("gradient-check-epsilon");
+const gradientCheckSummaryEl = document.getElementById("gradient-check-summary");
+const gradientCheckTableEl = document.getElementById("gradient-check-table");
+
+const MAX_INPUTS = 6;
+const MAX_HIDDEN_LAYERS = 4;
+const MAX_LAYER_WIDTH = 4;
+const MAX_OUTPUTS = 4;
+
+let stepItems = [];
 let currentStep = 0;
 
 // Architecture and parameters
 // We keep a small configuration object so the same code works
-// for different hidden-layer sizes.
+// for any number of hidden layers and any width per layer.
+// activations[layerIndex] names the activation of every hidden layer,
+// with the output layer's activation last.
 let architecture = {
   inputCount: 2,
-  hiddenNeuronCount: 2,
+  hiddenLayerSizes: [2],
   outputCount: 1,
+  activations: ["sigmoid", "sigmoid"],
 };
 
-// Weights and biases are stored in arrays for clarity:
-// - inputToHiddenWeights[hiddenIndex][inputIndex]  (w_ih[j,i])
-// - hiddenBiases[hiddenIndex]                     (b_h[j])
-// - hiddenToOutputWeights[hiddenIndex]            (w_ho[j])
-// - outputBias                                    (b_o)
+// Weights and biases are stored per layer. Layer 0 is the first hidden
+// layer and the last layer holds the output neurons:
+// - weights[layerIndex][neuronIndex][inputIndex]  (w[j,i] into that layer)
+// - biases[layerIndex][neuronIndex]                (b[j] of that layer)
 let params = {};
 let cache = {}; // forward and backward values for current example
 
@@ -58,651 +178,4947 @@ function requestRender() {
   });
 }
 
+// Sizes of every layer, inputs included: [inputs, hidden..., outputs]
+function getLayerSizes() {
+  return [architecture.inputCount, ...architecture.hiddenLayerSizes, architecture.outputCount];
+}
+
+// Number of layers that own weights (every hidden layer plus the output)
+function getLayerCount() {
+  return architecture.hiddenLayerSizes.length + 1;
+}
+
+function isOutputLayer(layerIndex) {
+  return layerIndex === getLayerCount() - 1;
+}
+
+// Short tag for a hidden layer. With a single hidden layer we keep the
+// familiar "h" names (z_h, w_ih, w_ho); deeper networks number them.
+function hiddenTag(layerIndex) {
+  return architecture.hiddenLayerSizes.length > 1 ? `h${layerIndex + 1}` : "h";
+}
+
+// Names used in equations and value cards for one layer's quantities.
+function layerSymbols(layerIndex) {
+  const fromTag = layerIndex === 0 ? "i" : hiddenTag(layerIndex - 1);
+  const input = layerIndex === 0 ? "x" : hiddenTag(layerIndex - 1);
+
+  if (isOutputLayer(layerIndex)) {
+    return {
+      name: "output",
+      sum: "z_out",
+      act: "ŷ",
+      weight: `w_${fromTag}o`,
+      bias: "b_o",
+      input,
+    };
+  }
+
+  const tag = hiddenTag(layerIndex);
+  const numbered = architecture.hiddenLayerSizes.length > 1;
+  return {
+    name: numbered ? `hidden layer ${layerIndex + 1}` : "the hidden layer",
+    sum: `z_${tag}`,
+    act: tag,
+    weight: `w_${fromTag}${tag}`,
+    bias: `b_${tag}`,
+    input,
+  };
+}
+
+// Output quantities only carry an index when there are several outputs:
+// "ŷ" for a single output, "ŷ[2]" for the second of several.
+function outputRef(name, outputIndex) {
+  return architecture.outputCount > 1 ? `${name}[${outputIndex + 1}]` : name;
+}
+
+// Weight index text: layers with a single neuron only need the input index.
+function weightRef(layerIndex, neuronRef, inputRef) {
+  const symbols = layerSymbols(layerIndex);
+  const layerSize = getLayerSizes()[layerIndex + 1];
+  return layerSize === 1 ? `${symbols.weight}[${inputRef}]` : `${symbols.weight}[${neuronRef},${inputRef}]`;
+}
+
+function biasRef(layerIndex, neuronRef) {
+  const symbols = layerSymbols(layerIndex);
+  const layerSize = getLayerSizes()[layerIndex + 1];
+  return isOutputLayer(layerIndex) && layerSize === 1 ? symbols.bias : `${symbols.bias}[${neuronRef}]`;
+}
+
+// Card label for one neuron, e.g. "Hidden 2" or "Layer 2 · neuron 1".
+function neuronTitle(layerIndex, neuronIndex) {
+  if (isOutputLayer(layerIndex)) return architecture.outputCount > 1 ? `Output ${neuronIndex + 1}` : "Output";
+  return architecture.hiddenLayerSizes.length > 1
+    ? `Layer ${layerIndex + 1} · neuron ${neuronIndex + 1}`
+    : `Hidden ${neuronIndex + 1}`;
+}
+
+function activationOf(layerIndex) {
+  return ACTIVATIONS[architecture.activations[layerIndex]];
+}
+
 function renderVariableLegend() {
   if (!variableLegendEl) return;
+  const deep = architecture.hiddenLayerSizes.length > 1;
+  const multi = architecture.outputCount > 1;
   variableLegendEl.innerHTML = `
-    <div class="variable-legend-item"><strong>x₁, x₂</strong>: inputs you choose with the sliders.</div>
-    <div class="variable-legend-item"><strong>y</strong>: target output you want the network to match.</div>
-    <div class="variable-legend-item"><strong>ŷ</strong>: network's prediction after the forward pass.</div>
-    <div class="variable-legend-item"><strong>hⱼ</strong>: activation of hidden neuron j (after sigmoid).</div>
+    <div class="variable-legend-item"><strong>${inputSymbols()}</strong>: ${
+      architecture.inputCount > 1 ? "inputs" : "the input"
+    } you choose with the ${architecture.inputCount > 1 ? "sliders" : "slider"}${
+      architecture.inputCount > 2 ? " (in dataset mode, x₃ onwards are computed from x₁ and x₂)" : ""
+    }.</div>
+    ${
+      multi
+        ? `<div class="variable-legend-item"><strong>y[k]</strong>: target for output k (one-hot for a softmax classifier).</div>
+    <div class="variable-legend-item"><strong>ŷ[k]</strong>: prediction of output k after the forward pass.</div>`
+        : `<div class="variable-legend-item"><strong>y</strong>: target output you want the network to match.</div>
+    <div class="variable-legend-item"><strong>ŷ</strong>: network's prediction after the forward pass.</div>`
+    }
+    ${
+      deep
+        ? `<div class="variable-legend-item"><strong>hₖ[j]</strong>: activation of neuron j in hidden layer k (after its activation function).</div>
+    <div class="variable-legend-item"><strong>w_ih1[j,i]</strong>: weight from input i into neuron j of hidden layer 1.</div>
+    <div class="variable-legend-item"><strong>w_hₖhₖ₊₁[j,i]</strong>: weight from neuron i of layer k into neuron j of layer k+1.</div>
+    <div class="variable-legend-item"><strong>b_hₖ[j]</strong>: bias added to neuron j of hidden layer k before its activation.</div>`
+        : `<div class="variable-legend-item"><strong>h[j]</strong>: activation of hidden neuron j (after its activation function).</div>
     <div class="variable-legend-item"><strong>w_ih[j,i]</strong>: weight from input i into hidden neuron j.</div>
-    <div class="variable-legend-item"><strong>b_h[j]</strong>: bias added to hidden neuron j before sigmoid.</div>
-    <div class="variable-legend-item"><strong>w_ho[j]</strong>: weight from hidden neuron j into the output.</div>
-    <div class="variable-legend-item"><strong>b_o</strong>: bias added to the output neuron before sigmoid.</div>
-    <div class="variable-legend-item"><strong>L</strong>: loss (error) measuring how far ŷ is from y.</div>
+    <div class="variable-legend-item"><strong>b_h[j]</strong>: bias added to hidden neuron j before its activation.</div>`
+    }
+    <div class="variable-legend-item"><strong>${weightRef(getLayerCount() - 1, "k", "j")}</strong>: weight from ${deep ? "neuron j of the last hidden layer" : "hidden neuron j"} into ${multi ? "output k" : "the output"}.</div>
+    <div class="variable-legend-item"><strong>${biasRef(getLayerCount() - 1, "k")}</strong>: bias added to ${multi ? "output neuron k" : "the output neuron"} before its activation.</div>
+    <div class="variable-legend-item"><strong>f, f'</strong>: a layer's activation function (σ, tanh, ReLU, …) and its slope.</div>
+    <div class="variable-legend-item"><strong>L</strong>: loss (error) measuring how far ŷ is from y${multi ? ", summed over the outputs" : ""}.</div>
     <div class="variable-legend-item"><strong>dL/d·</strong>: gradient of the loss with respect to some value.</div>
   `;
 }
 
-function randomWeight() {
-  return (Math.random() * 2 - 1) * 0.8; // in [-0.8, 0.8]
+// Weight initialization (schemes and the seeded PRNG are in engine.js)
+function currentInitScheme() {
+  return INIT_SCHEMES[initSchemeSelect.value] || INIT_SCHEMES.uniform;
 }
 
 function initParams() {
-  const hiddenNeuronCount = architecture.hiddenNeuronCount;
-  const inputCount = architecture.inputCount;
+  params = initWeights(getLayerSizes(), initSchemeSelect.value, initSeedInput.value);
+  resetOptimizerState();
+}
 
-  const inputToHiddenWeights = Array.from({ length: hiddenNeuronCount }, () =>
-    Array.from({ length: inputCount }, () => randomWeight())
-  );
-  const hiddenBiases = Array.from({ length: hiddenNeuronCount }, () => randomWeight());
+// Right-hand side of "a[j] = …" for the forward-pass equations.
+function activationText(activation, sumName, neuronRef) {
+  if (activation.vector) {
+    const sumIndex = neuronRef === "k" ? "m" : "k";
+    return neuronRef
+      ? `e^${sumName}[${neuronRef}] / Σ_${sumIndex} e^${sumName}[${sumIndex}]`
+      : `e^${sumName} / e^${sumName} = 1  (softmax over one neuron)`;
+  }
+  return `${activation.symbol}(${sumName}${neuronRef ? `[${neuronRef}]` : ""})`;
+}
+
+function activationOptionsHtml(selected) {
+  return Object.entries(ACTIVATIONS)
+    .map(
+      ([key, activation]) =>
+        `<option value="${key}"${key === selected ? " selected" : ""}>${activation.label}</option>`
+    )
+    .join("");
+}
 
-  const hiddenToOutputWeights = Array.from({ length: hiddenNeuronCount }, () => randomWeight());
-  const outputBias = randomWeight();
+function currentLoss() {
+  return LOSSES[lossSelect.value];
+}
 
-  params = { inputToHiddenWeights, hiddenBiases, hiddenToOutputWeights, outputBias };
+function lossOptionsHtml(selected) {
+  return Object.entries(LOSSES)
+    .map(
+      ([key, loss]) => `<option value="${key}"${key === selected ? " selected" : ""}>${loss.label}</option>`
+    )
+    .join("");
 }
 
-function sigmoid(x) {
-  return 1 / (1 + Math.exp(-x));
+// Loss text for output k, e.g. "½ · (ŷ[k] − y[k])²"
+function indexedLossText(text) {
+  return text.replace(/ŷ/g, "ŷ[k]").replace(/\by\b/g, "y[k]");
 }
 
-function sigmoidPrime(x) {
-  const s = sigmoid(x);
-  return s * (1 - s);
+// Cross-entropy on a sigmoid output (or categorical cross-entropy on a
+// softmax over several outputs) is the classic pairing where the
+// activation's slope cancels out and dL/dz_out collapses to ŷ − y.
+function isCrossEntropyShortcut() {
+  const outputActivation = architecture.activations[getLayerCount() - 1];
+  return (
+    (lossSelect.value === "bce" && outputActivation === "sigmoid") ||
+    (lossSelect.value === "categorical" && isSoftmaxHead())
+  );
 }
 
 function fmt(x, digits = 4) {
   return Number(x).toFixed(digits);
 }
 
-function computeForward() {
-  const inputVector = [parseFloat(inputX1.value), parseFloat(inputX2.value)];
-  const targetOutput = parseFloat(targetY.value);
+// The walkthrough's network as an engine model
+function currentModel() {
+  return { params, activations: architecture.activations, loss: lossSelect.value };
+}
 
-  const hiddenNeuronCount = architecture.hiddenNeuronCount;
-  const hiddenWeightedSums = new Array(hiddenNeuronCount); // z_h
-  const hiddenActivations = new Array(hiddenNeuronCount);  // h
+// Forward pass for one example with the current params
+function forwardExample(inputVector, targets) {
+  return forwardPass(currentModel(), inputVector, targets);
+}
 
-  for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-    let sum = 0;
-    for (let inputIndex = 0; inputIndex < architecture.inputCount; inputIndex++) {
-      sum += params.inputToHiddenWeights[hiddenIndex][inputIndex] * inputVector[inputIndex];
-    }
-    sum += params.hiddenBiases[hiddenIndex];
-    hiddenWeightedSums[hiddenIndex] = sum;
-    hiddenActivations[hiddenIndex] = sigmoid(sum);
-  }
+function computeForward() {
+  const example = currentExample();
+  cache = forwardExample(example.inputVector, example.targets);
+}
 
-  let outputWeightedSum = 0; // z_o
-  for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-    outputWeightedSum += params.hiddenToOutputWeights[hiddenIndex] * hiddenActivations[hiddenIndex];
-  }
-  outputWeightedSum += params.outputBias;
-  const predictedOutput = sigmoid(outputWeightedSum);
+// Backward pass for one example, adding every gradient to its cache object.
+function backwardExample(example) {
+  return backwardPass(currentModel(), example);
+}
 
-  const loss = 0.5 * Math.pow(predictedOutput - targetOutput, 2); // squared error
+// Average loss and parameter gradients over several examples.
+function computeBatchGradients(examples) {
+  return batchGradients(currentModel(), examples);
+}
 
-  cache = {
-    inputVector,
-    targetOutput,
-    hiddenWeightedSums,
-    hiddenActivations,
-    outputWeightedSum,
-    predictedOutput,
-    loss,
-  };
+function averageLoss(examples) {
+  return meanLoss(currentModel(), examples);
 }
 
 function computeBackward() {
-  const {
-    inputVector,
-    targetOutput,
-    hiddenWeightedSums,
-    hiddenActivations,
-    outputWeightedSum,
-    predictedOutput,
-  } = cache;
-
-  const hiddenNeuronCount = architecture.hiddenNeuronCount;
-
-  const gradLossWrtPrediction = predictedOutput - targetOutput; // dL/dŷ
-  const gradPredictionWrtOutputSum = sigmoidPrime(outputWeightedSum); // dŷ/dz_out
-  const gradLossWrtOutputSum = gradLossWrtPrediction * gradPredictionWrtOutputSum; // dL/dz_out
-
-  const gradLossWrtHiddenToOutputWeights = new Array(hiddenNeuronCount); // dL/dw_ho[j]
-  const gradLossWrtHiddenActivations = new Array(hiddenNeuronCount);     // dL/dh[j]
-  const gradHiddenActivationWrtHiddenSum = new Array(hiddenNeuronCount); // σ'(z_h[j])
-  const gradLossWrtHiddenWeightedSums = new Array(hiddenNeuronCount);    // dL/dz_h[j]
-
-  const gradLossWrtInputToHiddenWeights = Array.from(
-    { length: hiddenNeuronCount },
-    () => new Array(architecture.inputCount)
-  );
-  const gradLossWrtHiddenBiases = new Array(hiddenNeuronCount);
+  backwardExample(cache);
+
+  // With a batch selected, the update uses the averaged gradients
+  // instead of the single walkthrough example's.
+  const examples = batchExamples();
+  cache.batch = examples.length > 0 ? computeBatchGradients(examples) : null;
+}
 
-  for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-    gradLossWrtHiddenToOutputWeights[hiddenIndex] =
-      gradLossWrtOutputSum * hiddenActivations[hiddenIndex];
+// One optimizer step on params from the current example's (or batch's)
+// gradients. Returns what happened to each parameter (see optimizerStep).
+function applyOptimizerStep(learningRate = currentLearningRate()) {
+  return optimizerStep(currentModel(), optimizerState, cache.batch || cache, {
+    optimizer: currentOptimizerKey(),
+    learningRate,
+    weightDecay: parseFloat(weightDecaySlider.value),
+  });
+}
 
-    gradLossWrtHiddenActivations[hiddenIndex] =
-      gradLossWrtOutputSum * params.hiddenToOutputWeights[hiddenIndex];
+function currentSchedule() {
+  return LR_SCHEDULES[lrScheduleSelect.value] || LR_SCHEDULES.constant;
+}
 
-    gradHiddenActivationWrtHiddenSum[hiddenIndex] = sigmoidPrime(
-      hiddenWeightedSums[hiddenIndex]
-    );
+// The α the next update uses: the slider's α run through the schedule,
+// counting the updates of this run so far
+function currentLearningRate() {
+  return scheduledLearningRate(lrScheduleSelect.value, parseFloat(lrSlider.value), trainingStats.iteration);
+}
 
-    gradLossWrtHiddenWeightedSums[hiddenIndex] =
-      gradLossWrtHiddenActivations[hiddenIndex] *
-      gradHiddenActivationWrtHiddenSum[hiddenIndex];
+function currentOptimizerKey() {
+  return OPTIMIZERS[optimizerSelect.value] ? optimizerSelect.value : "sgd";
+}
 
-    for (let inputIndex = 0; inputIndex < architecture.inputCount; inputIndex++) {
-      gradLossWrtInputToHiddenWeights[hiddenIndex][inputIndex] =
-        gradLossWrtHiddenWeightedSums[hiddenIndex] * inputVector[inputIndex];
-    }
+function currentOptimizer() {
+  return OPTIMIZERS[currentOptimizerKey()];
+}
 
-    gradLossWrtHiddenBiases[hiddenIndex] = gradLossWrtHiddenWeightedSums[hiddenIndex];
-  }
+// Optimizer state for params (see createOptimizerState)
+let optimizerState = null;
 
-  const gradLossWrtOutputBias = gradLossWrtOutputSum;
+function resetOptimizerState() {
+  optimizerState = createOptimizerState(params, currentOptimizerKey());
+}
+
+// Small numbers such as Adam's v would all read 0.0000 with fmt
+function fmtSmall(x) {
+  return x !== 0 && Math.abs(x) < 1e-3 ? Number(x).toExponential(2) : fmt(x);
+}
+
+// Gradient health
+// Warnings from gradientHealth for the walkthrough example: a dashed ring
+// on the neurons concerned and a note under the explanation of each step
+// they matter for. In dataset mode a ReLU only counts as dead when it is
+// off for every training point.
+let health = { units: [], layers: [], nonFinite: false };
 
-  Object.assign(cache, {
-    gradLossWrtPrediction,
-    gradPredictionWrtOutputSum,
-    gradLossWrtOutputSum,
-    gradLossWrtHiddenToOutputWeights,
-    gradLossWrtOutputBias,
-    gradLossWrtHiddenActivations,
-    gradHiddenActivationWrtHiddenSum,
-    gradLossWrtHiddenWeightedSums,
-    gradLossWrtInputToHiddenWeights,
-    gradLossWrtHiddenBiases,
+function updateGradientHealth() {
+  const indices = isDatasetMode() ? trainingIndices() : [];
+  const examples = indices.length > 0 ? indices.map((index) => pointExample(dataset[index])) : [cache];
+  health = gradientHealth(currentModel(), cache, examples);
+}
+
+function markGradientHealth() {
+  Array.from(svg.querySelectorAll(".neuron-warning")).forEach((n) => n.classList.remove("neuron-warning"));
+  health.units.forEach(({ layerIndex, neuronIndex }) => {
+    const node = layout.columns[layerIndex + 1][neuronIndex];
+    const circle = node && svg.querySelector(`.neuron[data-id="${node.id}"]`);
+    if (circle) circle.classList.add("neuron-warning");
   });
 }
 
-function applyGradientDescent() {
-  const lr = parseFloat(lrSlider.value);
-  const hiddenNeuronCount = architecture.hiddenNeuronCount;
+function unitHealthNote(unit, stepKind) {
+  const activation = activationOf(unit.layerIndex);
+  const z = sumName(unit.layerIndex, unit.neuronIndex);
+  const a = activationName(unit.layerIndex, unit.neuronIndex);
+  if (unit.kind === "saturated") {
+    return stepKind === "backward"
+      ? `dL/d${z} ≈ 0 because ${z} = ${fmt(unit.z, 2)} sits in the flat tail of ${activation.label}: ` +
+          `its slope ${activation.symbol}'(${fmt(unit.z, 2)}) = ${fmtSmall(unit.slope)} scales down whatever gradient arrives from above.`
+      : `${a} is saturated: ${z} = ${fmt(unit.z, 2)} puts ${activation.label} in its flat tail ` +
+          `(slope ${fmtSmall(unit.slope)}), so it passes almost no gradient back.`;
+  }
+  if (unit.kind === "dead") {
+    return `${a} is a dead ReLU: ${z} ≤ 0 for every training point, so it always outputs 0 and its ` +
+      "incoming weights never get a gradient. Leaky ReLU, a smaller α or other starting weights avoid this.";
+  }
+  if (unit.kind === "inactive") {
+    return `${a} is off for this example (${z} = ${fmt(unit.z, 2)} ≤ 0), so ReLU passes no gradient back through it here.`;
+  }
+  return null;
+}
 
-  const {
-    gradLossWrtInputToHiddenWeights,
-    gradLossWrtHiddenBiases,
-    gradLossWrtHiddenToOutputWeights,
-    gradLossWrtOutputBias,
-  } = cache;
+function layerHealthNote(layer) {
+  const weights = `‖dL/d${layerSymbols(layer.layerIndex).weight}‖`;
+  if (layer.kind === "vanishing") {
+    const outputNorm = health.layers[health.layers.length - 1].norm;
+    return `${weights} = ${fmtSmall(layer.norm)} is under ${VANISHING_GRADIENT_RATIO * 100}% of the output layer's ` +
+      `${fmtSmall(outputNorm)}: the gradient vanishes on its way back, so these weights barely move.`;
+  }
+  if (layer.kind === "exploding") {
+    const learningRate = currentLearningRate();
+    return `${weights} = ${fmtSmall(layer.norm)} is very large: with α = ${fmtSmall(learningRate)} one step moves ` +
+      `these weights by about ${fmtSmall(learningRate * layer.norm)} in total. Lower α or start from smaller weights.`;
+  }
+  return null;
+}
 
-  for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-    for (let inputIndex = 0; inputIndex < architecture.inputCount; inputIndex++) {
-      params.inputToHiddenWeights[hiddenIndex][inputIndex] -=
-        lr * gradLossWrtInputToHiddenWeights[hiddenIndex][inputIndex];
-    }
-    params.hiddenBiases[hiddenIndex] -= lr * gradLossWrtHiddenBiases[hiddenIndex];
-    params.hiddenToOutputWeights[hiddenIndex] -=
-      lr * gradLossWrtHiddenToOutputWeights[hiddenIndex];
+// Notes for one step: every unit on the forward pass, one layer's units and
+// gradient norm on its backward step, exploding layers on the update
+function gradientHealthNotes(step) {
+  const notes = [];
+  if (health.nonFinite) {
+    notes.push("NaN or Infinity turned up in this pass, usually after a step that was far too large. Lower α and reset the weights.");
   }
-  params.outputBias -= lr * gradLossWrtOutputBias;
+  if (step.kind === "forward") {
+    health.units.forEach((unit) => notes.push(unitHealthNote(unit, step.kind)));
+  } else if (step.kind === "backward") {
+    health.units
+      .filter((unit) => unit.layerIndex === step.layerIndex)
+      .forEach((unit) => notes.push(unitHealthNote(unit, step.kind)));
+    health.layers
+      .filter((layer) => layer.layerIndex === step.layerIndex)
+      .forEach((layer) => notes.push(layerHealthNote(layer)));
+  } else if (step.kind === "update") {
+    health.layers.filter((layer) => layer.kind === "exploding").forEach((layer) => notes.push(layerHealthNote(layer)));
+  }
+  return notes.filter(Boolean);
 }
 
-// SVG drawing
-const layout = {
-  input: [],
-  hidden: [],
-  output: [],
-};
+function appendGradientHealth(step) {
+  const notes = gradientHealthNotes(step);
+  if (notes.length > 0) stepExplainerEl.textContent += ` Gradient health: ${notes.join(" ")}`;
+}
 
-function updateLayout() {
-  layout.input = [
-    { id: "x1", x: 80, y: 80 },
-    { id: "x2", x: 80, y: 220 },
-  ];
+// Gradient check
+// Backprop's gradients can be verified without any calculus: nudge one
+// parameter by ±ε, re-run the forward pass and take the slope of the loss,
+//   dL/dw ≈ (L(w + ε) − L(w − ε)) / 2ε.
+// Frameworks test their layers this way; here it guards every activation
+// and loss against a wrong derivative. Kinks (ReLU at 0, |ŷ − y| at 0) can
+// legitimately disagree when ε straddles them.
+const GRADIENT_CHECK_TOLERANCE = 1e-4; // relative error above this is a mismatch
+const GRADIENT_CHECK_ABS_FLOOR = 1e-8; // differences below this are rounding noise
 
-  const hiddenNeuronCount = architecture.hiddenNeuronCount;
-  const xHidden = 280;
-  const top = 60;
-  const bottom = 240;
-  const hidden = [];
+function numericGradient(container, key) {
+  const epsilon = parseFloat(gradientCheckEpsilonInput.value) || 1e-4;
+  const { inputVector, targets } = cache;
+  const original = container[key];
 
-  if (hiddenNeuronCount === 1) {
-    hidden.push({ id: "h1", x: xHidden, y: 150 });
-  } else {
-    const gap = (bottom - top) / (hiddenNeuronCount - 1);
-    for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-      hidden.push({ id: `h${hiddenIndex + 1}`, x: xHidden, y: top + gap * hiddenIndex });
-    }
+  container[key] = original + epsilon;
+  const lossPlus = forwardExample(inputVector, targets).loss;
+  container[key] = original - epsilon;
+  const lossMinus = forwardExample(inputVector, targets).loss;
+  container[key] = original;
+
+  return (lossPlus - lossMinus) / (2 * epsilon);
+}
+
+function compareGradients(name, analytic, numeric) {
+  const difference = Math.abs(analytic - numeric);
+  const scale = Math.abs(analytic) + Math.abs(numeric);
+  const relativeError = scale > 0 ? difference / scale : 0;
+  const mismatch =
+    !Number.isFinite(relativeError) ||
+    (relativeError > GRADIENT_CHECK_TOLERANCE && difference > GRADIENT_CHECK_ABS_FLOOR);
+  return { name, analytic, numeric, relativeError, mismatch };
+}
+
+// One row per weight and bias, compared against the walkthrough example's cache
+function runGradientCheck() {
+  const rows = [];
+  for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+    params.weights[layerIndex].forEach((row, neuronIndex) => {
+      row.forEach((_, inputIndex) => {
+        rows.push(
+          compareGradients(
+            weightRef(layerIndex, neuronIndex + 1, inputIndex + 1),
+            cache.gradLossWrtWeights[layerIndex][neuronIndex][inputIndex],
+            numericGradient(row, inputIndex)
+          )
+        );
+      });
+      rows.push(
+        compareGradients(
+          biasRef(layerIndex, neuronIndex + 1),
+          cache.gradLossWrtBiases[layerIndex][neuronIndex],
+          numericGradient(params.biases[layerIndex], neuronIndex)
+        )
+      );
+    });
   }
-  layout.hidden = hidden;
+  return rows;
+}
+
+function renderGradientCheck() {
+  const rows = runGradientCheck();
+  const mismatches = rows.filter((row) => row.mismatch).length;
+  const worst = Math.max(...rows.map((row) => row.relativeError));
+
+  gradientCheckSummaryEl.textContent =
+    mismatches === 0
+      ? `All ${rows.length} gradients match (largest relative error ${worst.toExponential(1)}).`
+      : `${mismatches} of ${rows.length} gradients disagree with the finite differences.`;
+  gradientCheckSummaryEl.classList.toggle("mismatch", mismatches > 0);
 
-  layout.output = [{ id: "y", x: 480, y: 150 }];
+  gradientCheckTableEl.innerHTML = `
+    <thead>
+      <tr><th>Parameter</th><th>Backprop dL/dw</th><th>Numeric dL/dw</th><th>Relative error</th><th></th></tr>
+    </thead>
+    <tbody>
+      ${rows
+        .map(
+          (row) => `
+        <tr class="${row.mismatch ? "mismatch" : ""}">
+          <td>${row.name}</td>
+          <td>${fmtSmall(row.analytic)}</td>
+          <td>${fmtSmall(row.numeric)}</td>
+          <td>${row.relativeError.toExponential(1)}</td>
+          <td>${row.mismatch ? "✗ mismatch" : "✓"}</td>
+        </tr>`
+        )
+        .join("")}
+    </tbody>
+  `;
 }
 
-function clearSvg() {
-  while (svg.firstChild) svg.removeChild(svg.firstChild);
+// Parameter history
+// The walkthrough only changes params when "Apply update" is pressed.
+// Each applied update (and each auto-training run) first pushes a
+// snapshot of params and optimizer state, so Undo, Redo and "Previous"
+// can step back through them.
+const MAX_PARAM_HISTORY = 100;
+
+let undoStack = [];
+let redoStack = [];
+// The update applied from the walkthrough, shown on the update step until
+// params change some other way:
+// { oldParams, newParams, newOptimizerState, steps, optimizer, decay, oldLoss, newLoss, batchSize }
+let lastUpdate = null;
+
+function takeSnapshot() {
+  return {
+    params: cloneParams(params),
+    optimizerState: cloneOptimizerState(optimizerState),
+    compare: compareSnapshot(),
+  };
 }
 
-function createLine(x1, y1, x2, y2, cls) {
-  const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
-  line.setAttribute("x1", x1);
-  line.setAttribute("y1", y1);
-  line.setAttribute("x2", x2);
-  line.setAttribute("y2", y2);
-  line.setAttribute("class", cls);
-  return line;
+function restoreSnapshot(snapshot) {
+  params = snapshot.params;
+  optimizerState = snapshot.optimizerState;
+  restoreCompareSnapshot(snapshot.compare);
 }
 
-function createCircle(x, y, r, cls) {
-  const c = document.createElementNS("http://www.w3.org/2000/svg", "circle");
-  c.setAttribute("cx", x);
-  c.setAttribute("cy", y);
-  c.setAttribute("r", r);
-  c.setAttribute("class", cls);
-  return c;
+function pushParamHistory() {
+  undoStack.push(takeSnapshot());
+  if (undoStack.length > MAX_PARAM_HISTORY) undoStack.shift();
+  redoStack = [];
+  updateHistoryControls();
 }
 
-function createText(x, y, text, cls) {
-  const t = document.createElementNS("http://www.w3.org/2000/svg", "text");
-  t.setAttribute("x", x);
-  t.setAttribute("y", y);
-  t.setAttribute("class", cls);
-  t.textContent = text;
-  return t;
+// Snapshots only fit the architecture they were taken with
+function clearParamHistory() {
+  undoStack = [];
+  redoStack = [];
+  lastUpdate = null;
+  updateHistoryControls();
 }
 
-function drawNetwork() {
-  clearSvg();
+function undoParams() {
+  if (undoStack.length === 0) return false;
+  redoStack.push(takeSnapshot());
+  restoreSnapshot(undoStack.pop());
+  lastUpdate = null;
+  updateHistoryControls();
+  return true;
+}
 
-  svg.innerHTML = `
-    <defs>
-      <style>
-        .conn { stroke: rgba(148, 163, 184, 0.8); stroke-width: 2; }
-        .conn-gradient { stroke: #a855f7; stroke-width: 3; }
-        .conn-bias { stroke: #38bdf8; stroke-width: 1.6; stroke-dasharray: 4 3; }
-        .neuron { fill: #020617; stroke-width: 2; }
-        .neuron-input { stroke: #22c55e; }
-        .neuron-hidden { stroke: #eab308; }
-        .neuron-output { stroke: #f97316; }
-        .neuron-bias { stroke: #38bdf8; }
-        .neuron-highlight { filter: drop-shadow(0 0 4px rgba(129, 140, 248, 0.9)); }
-        .neuron-text { fill: #e5e7eb; font-size: 12px; text-anchor: middle; dominant-baseline: middle; }
-        .label-text { fill: #9ca3af; font-size: 11px; text-anchor: middle; }
-      </style>
-    </defs>
-  `;
+function redoParams() {
+  if (redoStack.length === 0) return false;
+  undoStack.push(takeSnapshot());
+  restoreSnapshot(redoStack.pop());
+  lastUpdate = null;
+  updateHistoryControls();
+  return true;
+}
 
-  // Connections input -> hidden
-  layout.input.forEach((iNode) => {
-    layout.hidden.forEach((hNode) => {
-      const line = createLine(iNode.x + 22, iNode.y, hNode.x - 22, hNode.y, "conn");
-      line.dataset.from = iNode.id;
-      line.dataset.to = hNode.id;
-      svg.appendChild(line);
-    });
-  });
+// The update the walkthrough would take right now, without applying it.
+// With a batch, both losses are averages over the same examples.
+function previewUpdate() {
+  const examples = batchExamples();
+  const current = params;
+  const currentOptimizerState = optimizerState;
+  const oldLoss = cache.batch ? cache.batch.loss : cache.loss;
 
-  // Bias node for hidden layer (constant 1 going into every hidden neuron)
-  const hiddenBiasX = 210;
-  const hiddenBiasY = 40;
-  const hiddenBiasCircle = createCircle(hiddenBiasX, hiddenBiasY, 10, "neuron neuron-bias");
-  svg.appendChild(hiddenBiasCircle);
-  svg.appendChild(createText(hiddenBiasX, hiddenBiasY, "1", "neuron-text"));
+  params = cloneParams(current);
+  optimizerState = cloneOptimizerState(currentOptimizerState);
+  const learningRate = currentLearningRate();
+  const steps = applyOptimizerStep(learningRate);
+  const newParams = params;
+  const newOptimizerState = optimizerState;
+  const newLoss =
+    examples.length > 0 ? averageLoss(examples) : forwardExample(cache.inputVector, cache.targets).loss;
+  params = current;
+  optimizerState = currentOptimizerState;
 
-  layout.hidden.forEach((hNode) => {
-    const line = createLine(hiddenBiasX + 14, hiddenBiasY, hNode.x - 22, hNode.y, "conn-bias");
-    svg.appendChild(line);
-  });
+  return {
+    oldParams: current,
+    newParams,
+    newOptimizerState,
+    steps,
+    optimizer: currentOptimizer(),
+    learningRate,
+    schedule: currentSchedule(),
+    iteration: trainingStats.iteration,
+    decay: parseFloat(weightDecaySlider.value),
+    oldLoss,
+    newLoss,
+    batchSize: cache.batch ? cache.batch.size : null,
+  };
+}
 
-  // Connections hidden -> output
-  layout.hidden.forEach((hNode) => {
-    const yNode = layout.output[0];
-    const line = createLine(hNode.x + 22, hNode.y, yNode.x - 22, yNode.y, "conn");
-    line.dataset.from = hNode.id;
-    line.dataset.to = yNode.id;
-    svg.appendChild(line);
-  });
+function applyUpdate() {
+  computeForward();
+  computeBackward();
+  const update = previewUpdate();
 
-  // Bias node for output neuron (constant 1 going into output)
-  const outputBiasX = 410;
-  const outputBiasY = 40;
-  const outputBiasCircle = createCircle(outputBiasX, outputBiasY, 10, "neuron neuron-bias");
-  svg.appendChild(outputBiasCircle);
-  svg.appendChild(createText(outputBiasX, outputBiasY, "1", "neuron-text"));
+  pushParamHistory();
+  recordIteration(update.batchSize || 1, update.oldLoss);
+  stepComparison(update.oldLoss);
+  params = update.newParams;
+  optimizerState = update.newOptimizerState;
+  recordLandscapeStep(flattenParams(update.oldParams));
+  lastUpdate = update;
+  if (update.batchSize && batchModeSelect.value === "minibatch") drawMiniBatch();
+}
 
-  const yNode = layout.output[0];
-  const outputBiasLine = createLine(outputBiasX + 14, outputBiasY, yNode.x - 22, yNode.y, "conn-bias");
-  svg.appendChild(outputBiasLine);
+function updateHistoryControls() {
+  const onUpdateStep = getSteps()[currentStep].kind === "update";
+  btnApply.disabled = !onUpdateStep || isTraining();
+  btnApply.textContent = lastUpdate ? "Apply another update" : "Apply update";
+  btnUndo.disabled = undoStack.length === 0 || isTraining();
+  btnRedo.disabled = redoStack.length === 0 || isTraining();
+  btnUndo.title = `${undoStack.length} earlier parameter snapshot(s)`;
+  btnRedo.title = `${redoStack.length} undone snapshot(s)`;
+}
 
-  // Neurons
-  layout.input.forEach((node) => {
-    const c = createCircle(node.x, node.y, 18, "neuron neuron-input");
-    c.dataset.id = node.id;
-    svg.appendChild(c);
-    svg.appendChild(createText(node.x, node.y, node.id.toUpperCase(), "neuron-text"));
-  });
+// Input controls
+// One slider per input, rebuilt when the number of inputs changes. Dataset
+// points only have two coordinates, so in dataset mode the inputs after x₂
+// are engineered features of the point: a 3-input network sees x₁·x₂ and
+// can separate XOR with a straight line.
+const DEFAULT_INPUT_VALUES = [0.2, -0.5];
+const DERIVED_FEATURES = [
+  { label: "x₁·x₂", value: (x1, x2) => x1 * x2 },
+  { label: "x₁²", value: (x1) => x1 * x1 },
+  { label: "x₂²", value: (x1, x2) => x2 * x2 },
+  { label: "sin(π·x₁)", value: (x1) => Math.sin(Math.PI * x1) },
+];
 
-  layout.hidden.forEach((node) => {
-    const c = createCircle(node.x, node.y, 18, "neuron neuron-hidden");
-    c.dataset.id = node.id;
-    svg.appendChild(c);
-    svg.appendChild(createText(node.x, node.y, node.id.toUpperCase(), "neuron-text"));
-  });
+// "x₁, x₂" or "x₁ … x₄" for the legend and explanations
+function inputSymbols() {
+  const count = architecture.inputCount;
+  if (count === 1) return "x₁";
+  return count === 2 ? "x₁, x₂" : `x₁ … x${subscript(count)}`;
+}
 
-  layout.output.forEach((node) => {
-    const c = createCircle(node.x, node.y, 20, "neuron neuron-output");
-    c.dataset.id = node.id;
-    svg.appendChild(c);
-    svg.appendChild(createText(node.x, node.y, "ŷ", "neuron-text"));
-  });
+function inputSliders() {
+  return Array.from(inputSlidersEl.querySelectorAll("input"));
+}
 
-  // Labels for layers
-  svg.appendChild(createText(80, 300, "Input layer", "label-text"));
-  svg.appendChild(createText(280, 300, "Hidden layer", "label-text"));
-  svg.appendChild(createText(480, 300, "Output layer", "label-text"));
+function sliderInputs() {
+  return inputSliders().map((slider) => parseFloat(slider.value));
 }
 
-function highlightForStep(step) {
-  // Reset all lines & neurons
-  Array.from(svg.querySelectorAll(".conn")).forEach((line) => {
-    line.setAttribute("class", "conn");
+// Network inputs for a dataset point at (x₁, x₂)
+function featureVector([x1, x2]) {
+  const features = [x1, x2, ...DERIVED_FEATURES.map((feature) => feature.value(x1, x2))];
+  return features.slice(0, architecture.inputCount);
+}
+
+function setInputControls(inputs) {
+  inputSliders().forEach((slider, inputIndex) => {
+    slider.value = inputs[inputIndex];
   });
-  Array.from(svg.querySelectorAll(".neuron")).forEach((n) => {
-    n.classList.remove("neuron-highlight");
+  syncInputLabels(inputs);
+}
+
+// Slider ranges snap to their step, so labels can be given the exact values
+function syncInputLabels(inputs = sliderInputs()) {
+  const derived = isDatasetMode();
+  inputSliders().forEach((slider, inputIndex) => {
+    const feature = derived ? DERIVED_FEATURES[inputIndex - 2] : null;
+    slider.previousElementSibling.textContent =
+      `Input x${subscript(inputIndex + 1)}${feature ? ` = ${feature.label}` : ""}:`;
+    slider.nextElementSibling.textContent = inputs[inputIndex].toFixed(2);
   });
+}
 
-  const setConnGradient = (from, to) => {
-    Array.from(svg.querySelectorAll("line")).forEach((line) => {
-      if (line.dataset.from === from && line.dataset.to === to) {
-        line.setAttribute("class", "conn conn-gradient");
-      }
+function renderInputControls() {
+  const previous = sliderInputs();
+  inputSlidersEl.innerHTML = "";
+  for (let inputIndex = 0; inputIndex < architecture.inputCount; inputIndex++) {
+    const value = previous[inputIndex] ?? DEFAULT_INPUT_VALUES[inputIndex] ?? 0;
+    const group = document.createElement("div");
+    group.className = "control-group";
+    group.innerHTML = `
+      <label></label>
+      <input type="range" min="-1" max="1" step="0.1" value="${value}" />
+      <span class="value-label"></span>
+    `;
+    group.querySelector("input").addEventListener("input", () => {
+      syncInputLabels();
+      // Batch expensive recomputation to keep dragging smooth
+      requestRender();
     });
-  };
+    inputSlidersEl.appendChild(group);
+  }
+  updateDataModeUI();
+}
 
-  const highlightNeuron = (id) => {
-    Array.from(svg.querySelectorAll(".neuron")).forEach((n) => {
-      if (n.dataset.id === id) n.classList.add("neuron-highlight");
-    });
-  };
+// Target controls
+// Every output has its own target slider (y₁ is the original "Target y"
+// slider, the others are added as outputs are added). A softmax head over
+// several outputs is a classifier, trained on a one-hot target, so it
+// shows a class picker instead.
+function isSoftmaxHead() {
+  return architecture.outputCount > 1 && activationOf(getLayerCount() - 1).vector;
+}
 
-  if (step === 0) {
-    // Forward pass: highlight all neurons
-    ["x1", "x2", "y"].forEach(highlightNeuron);
-    layout.hidden.forEach((h) => highlightNeuron(h.id));
-  } else if (step === 1) {
-    // Loss: just the output
-    highlightNeuron("y");
-  } else if (step === 2) {
-    // Gradients at output: highlight output and connections from hidden
-    highlightNeuron("y");
-    layout.hidden.forEach((h) => {
-      highlightNeuron(h.id);
-      setConnGradient(h.id, "y");
-    });
-  } else if (step === 3) {
-    // Gradients in hidden layer: highlight inputs and hidden + their connections
-    ["x1", "x2"].forEach(highlightNeuron);
-    layout.hidden.forEach((h) => {
-      highlightNeuron(h.id);
-      ["x1", "x2"].forEach((inp) => setConnGradient(inp, h.id));
-    });
-  } else if (step === 4) {
-    // Weight update: highlight everything again
-    ["x1", "x2", "y"].forEach(highlightNeuron);
-    layout.hidden.forEach((h) => highlightNeuron(h.id));
-  }
+function targetSliders() {
+  return [targetY, ...extraTargetsEl.querySelectorAll("input")];
 }
 
-// UI rendering for equations & values
-function renderStep() {
-  computeForward();
-  computeBackward();
-  highlightForStep(currentStep);
+function sliderTargets() {
+  if (isSoftmaxHead()) return oneHot(parseInt(targetClassSelect.value, 10));
+  return targetSliders().map((slider) => parseFloat(slider.value));
+}
 
-  stepItems.forEach((item, idx) => {
-    item.classList.toggle("active", idx === currentStep);
+// Show a target vector in the controls (dataset points, loaded states)
+function setTargetControls(targets) {
+  targetSliders().forEach((slider, outputIndex) => {
+    slider.value = targets[outputIndex];
   });
+  targetClassSelect.value = String(targets.indexOf(Math.max(...targets)));
+  syncTargetLabels();
+}
 
-  const s = cache;
-  const hiddenNeuronCount = architecture.hiddenNeuronCount;
+function syncTargetLabels() {
+  targetSliders().forEach((slider) => {
+    slider.nextElementSibling.textContent = parseFloat(slider.value).toFixed(2);
+  });
+}
 
-  if (currentStep === 0) {
-    stepTitleEl.textContent = "1. Forward pass: from inputs to prediction";
-    equationsEl.textContent = [
-      "Step 1: Each hidden neuron j does:",
-      "  z_h[j] = w_ih[j] · x + b_h[j]  (weighted sum)",
-      "  h[j]   = σ(z_h[j])             (apply sigmoid)",
-      "",
-      "Step 2: The output neuron does:",
-      "  z_out = Σ_j w_ho[j] · h[j] + b_o",
-      "  ŷ     = σ(z_out)",
-    ].join("\n");
+// Rebuild the sliders for y₂, y₃, … and the class picker after the
+// number of outputs or the output activation changes. Values already
+// on screen are kept.
+function renderTargetControls() {
+  const outputCount = architecture.outputCount;
+  const previous = Array.from(extraTargetsEl.querySelectorAll("input"), (slider) => slider.value);
+  extraTargetsEl.innerHTML = "";
+  for (let outputIndex = 1; outputIndex < outputCount; outputIndex++) {
+    const group = document.createElement("div");
+    group.className = "control-group";
+    group.innerHTML = `
+      <label>Target y${subscript(outputIndex + 1)}:</label>
+      <input type="range" min="0" max="1" step="0.05" value="${previous[outputIndex - 1] ?? 0}" />
+      <span class="value-label"></span>
+    `;
+    group.querySelector("input").addEventListener("input", () => {
+      syncTargetLabels();
+      requestRender();
+    });
+    extraTargetsEl.appendChild(group);
+  }
+  targetYLabel.textContent = outputCount > 1 ? "Target y₁:" : "Target y (desired output):";
 
-    stepExplainerEl.textContent =
-      "We start by mixing the two inputs inside each hidden neuron, " +
-      "squashing them with a sigmoid, then mixing those hidden activations " +
-      "again to get the final prediction ŷ.";
+  const selectedClass = Math.min(parseInt(targetClassSelect.value, 10) || 0, outputCount - 1);
+  targetClassSelect.innerHTML = Array.from(
+    { length: outputCount },
+    (_, classIndex) =>
+      `<option value="${classIndex}"${classIndex === selectedClass ? " selected" : ""}>` +
+      `Class ${classIndex} (y${subscript(classIndex + 1)} = 1)</option>`
+  ).join("");
 
-    const pairs = [
-      ["Input x₁", s.inputVector[0]],
-      ["Input x₂", s.inputVector[1]],
-    ];
-    for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-      pairs.push([
-        `Hidden ${hiddenIndex + 1} sum (z_h${hiddenIndex + 1})`,
-        s.hiddenWeightedSums[hiddenIndex],
-      ]);
-      pairs.push([
-        `Hidden ${hiddenIndex + 1} act (h${hiddenIndex + 1})`,
-        s.hiddenActivations[hiddenIndex],
-      ]);
-    }
-    pairs.push(["Output sum (z_out)", s.outputWeightedSum]);
-    pairs.push(["Prediction ŷ", s.predictedOutput]);
-    renderValues(pairs);
-  } else if (currentStep === 1) {
-    stepTitleEl.textContent = "2. Loss: how far is ŷ from y?";
-    equationsEl.textContent = [
-      "We measure error with squared loss:",
-      "  L = ½ · (ŷ − y)²",
-      "",
-      "If ŷ is close to y, L is small.",
-    ].join("\n");
+  const softmaxHead = isSoftmaxHead();
+  targetY.closest(".control-group").hidden = softmaxHead;
+  extraTargetsEl.hidden = softmaxHead;
+  targetClassGroupEl.hidden = !softmaxHead;
+  syncTargetLabels();
+  updateDataModeUI();
+}
 
-    stepExplainerEl.textContent =
-      "Here we simply compare the prediction ŷ to the target y. " +
-      "The further apart they are, the bigger the loss.";
-
-    renderValues([
-      ["Prediction ŷ", s.predictedOutput],
-      ["Target y", s.targetOutput],
-      ["Loss L", s.loss],
-    ]);
-  } else if (currentStep === 2) {
-    stepTitleEl.textContent = "3. Backward: gradients at the output neuron";
-    equationsEl.textContent = [
-      "We move one step back from the loss to z_out:",
-      "  dL/dŷ   = ŷ − y",
-      "  dŷ/dz   = σ'(z_out) = σ(z_out)·(1 − σ(z_out))",
-      "  dL/dz   = dL/dŷ · dŷ/dz",
-      "",
-      "For each hidden neuron j:",
-      "  dL/dw_ho[j] = dL/dz · h[j]",
-      "  dL/db_o     = dL/dz · 1",
-    ].join("\n");
+// Training data
+// In "single" mode the walkthrough example comes from the x₁/x₂/y sliders.
+// In "dataset" mode it is the selected point of a labelled 2-D dataset,
+// and the update can average gradients over a mini-batch or every point.
+// Each point is stored as { inputVector: [x₁, x₂], targetOutput: 0 | 1, validation }.
+// The label is a class index: a single output learns the label itself,
+// several outputs learn its one-hot vector (see labelTargets).
+// Validation points are held out: they never enter a batch and only
+// feed the validation curve of the loss chart.
+const VALIDATION_FRACTION = 0.25;
 
-    stepExplainerEl.textContent =
-      "We ask: if we nudge the output weights and bias a little, " +
-      "how does the loss change? These are the gradients for the last layer.";
+let dataset = [];
+let selectedExampleIndex = 0;
+let currentBatch = [];  // indices into dataset for the current mini-batch
+let batchOrder = [];    // shuffled indices, consumed one mini-batch at a time
+let batchCursor = 0;
 
-    const pairs = [
-      ["Gradient dL/dŷ (loss vs prediction)", s.gradLossWrtPrediction],
-      ["σ'(z_out) (slope of sigmoid)", s.gradPredictionWrtOutputSum],
-      ["Gradient dL/dz_out", s.gradLossWrtOutputSum],
-    ];
-    for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-      pairs.push([
-        `Grad dL/dw_ho${hiddenIndex + 1} (hidden ${hiddenIndex + 1} → output)`,
-        s.gradLossWrtHiddenToOutputWeights[hiddenIndex],
-      ]);
-    }
-    pairs.push(["Grad dL/db_o (output bias)", s.gradLossWrtOutputBias]);
-    renderValues(pairs);
-  } else if (currentStep === 3) {
-    stepTitleEl.textContent = "4. Backward: gradients for hidden neurons and input weights";
-    equationsEl.textContent = [
-      "For each hidden neuron j we go one step back:",
-      "  dL/dh[j]   = dL/dz_out · w_ho[j]",
-      "  σ'(z_h[j]) = σ(z_h[j])·(1 − σ(z_h[j]))",
-      "  dL/dz_h[j] = dL/dh[j] · σ'(z_h[j])",
-      "",
-      "Then for each input i:",
-      "  dL/dw_ih[j,i] = dL/dz_h[j] · x[i]",
-      "  dL/db_h[j]    = dL/dz_h[j] · 1",
-    ].join("\n");
+function clampInput(x) {
+  return Math.min(1, Math.max(-1, x));
+}
 
-    stepExplainerEl.textContent =
-      "Now we push the error signal one step earlier, into each hidden neuron " +
-      "and all input-to-hidden weights. This tells us how to tweak the 'feature " +
-      "detectors' in the hidden layer.";
+function makePoint(x1, x2, label) {
+  return { inputVector: [clampInput(x1), clampInput(x2)], targetOutput: label, validation: false };
+}
 
-    const pairs = [];
-    for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-      pairs.push([
-        `Grad dL/dh${hiddenIndex + 1} (hidden act)`,
-        s.gradLossWrtHiddenActivations[hiddenIndex],
-      ]);
-      pairs.push([
-        `σ'(z_h${hiddenIndex + 1}) (hidden slope)`,
-        s.gradHiddenActivationWrtHiddenSum[hiddenIndex],
-      ]);
-      pairs.push([
-        `Grad dL/dz_h${hiddenIndex + 1} (hidden sum)`,
-        s.gradLossWrtHiddenWeightedSums[hiddenIndex],
-      ]);
+// Four noisy clusters at the corners, labelled by a boolean rule.
+function cornerClusters(rule) {
+  const points = [];
+  [-0.55, 0.55].forEach((cx) => {
+    [-0.55, 0.55].forEach((cy) => {
+      const label = rule(cx > 0, cy > 0) ? 1 : 0;
+      for (let i = 0; i < 10; i++) {
+        points.push(makePoint(cx + 0.18 * randomNormal(), cy + 0.18 * randomNormal(), label));
+      }
+    });
+  });
+  return points;
+}
+
+const DATASETS = {
+  xor: { label: "XOR", generate: () => cornerClusters((a, b) => a !== b) },
+  and: { label: "AND", generate: () => cornerClusters((a, b) => a && b) },
+  or: { label: "OR", generate: () => cornerClusters((a, b) => a || b) },
+  circles: {
+    label: "Circles",
+    generate: () => {
+      const points = [];
+      for (let i = 0; i < 30; i++) {
+        const r = 0.35 * Math.sqrt(Math.random());
+        const t = 2 * Math.PI * Math.random();
+        points.push(makePoint(r * Math.cos(t), r * Math.sin(t), 1));
+      }
+      for (let i = 0; i < 40; i++) {
+        const r = 0.65 + 0.25 * Math.random();
+        const t = 2 * Math.PI * Math.random();
+        points.push(makePoint(r * Math.cos(t), r * Math.sin(t), 0));
+      }
+      return points;
+    },
+  },
+  moons: {
+    label: "Two moons",
+    generate: () => {
+      const points = [];
+      for (let i = 0; i < 40; i++) {
+        const t = Math.PI * Math.random();
+        // Upper moon spans x ∈ [-1, 1], lower moon x ∈ [0, 2]; rescale both into [-1, 1]²
+        const x = (Math.cos(t) - 0.5) / 1.6;
+        const y = (Math.sin(t) - 0.25) / 0.85;
+        points.push(makePoint(x + 0.06 * randomNormal(), y + 0.06 * randomNormal(), 0));
+        points.push(makePoint(-x + 0.06 * randomNormal(), -y + 0.06 * randomNormal(), 1));
+      }
+      return points;
+    },
+  },
+  spirals: {
+    label: "Spirals",
+    generate: () => {
+      const points = [];
+      const perClass = 50;
+      [0, 1].forEach((label) => {
+        for (let i = 0; i < perClass; i++) {
+          const r = 0.05 + (0.9 * i) / perClass;
+          const t = 1.75 * 2 * Math.PI * (i / perClass) + label * Math.PI;
+          const noiseX = 0.03 * randomNormal();
+          const noiseY = 0.03 * randomNormal();
+          points.push(makePoint(r * Math.cos(t) + noiseX, r * Math.sin(t) + noiseY, label));
+        }
+      });
+      return points;
+    },
+  },
+  custom: { label: "Custom (click to add)", generate: () => [] },
+};
+
+// Dataset mode only kicks in once there is at least one point to train on.
+function isDatasetMode() {
+  return dataModeSelect.value === "dataset" && dataset.length > 0;
+}
+
+// The example the walkthrough steps through, as { inputVector, targets }
+// ready for forwardExample.
+function currentExample() {
+  if (isDatasetMode()) return pointExample(dataset[selectedExampleIndex]);
+  return { inputVector: sliderInputs(), targets: sliderTargets() };
+}
+
+function pointExample(point) {
+  return { inputVector: featureVector(point.inputVector), targets: labelTargets(point.targetOutput) };
+}
+
+function oneHot(classIndex) {
+  return Array.from({ length: architecture.outputCount }, (_, outputIndex) => (outputIndex === classIndex ? 1 : 0));
+}
+
+function labelTargets(label) {
+  return architecture.outputCount === 1 ? [label] : oneHot(label);
+}
+
+// Examples whose gradients are averaged for the update. Empty means
+// "just use the walkthrough example".
+function batchExamples() {
+  if (!isDatasetMode()) return [];
+  if (batchModeSelect.value === "full") return trainingIndices().map((index) => pointExample(dataset[index]));
+  if (batchModeSelect.value === "minibatch") return currentBatch.map((index) => pointExample(dataset[index]));
+  return [];
+}
+
+// What an update learns from: the batch, or else the walkthrough example
+function updateExamples() {
+  const examples = batchExamples();
+  return examples.length > 0 ? examples : [currentExample()];
+}
+
+function trainingIndices() {
+  const indices = [];
+  dataset.forEach((point, index) => {
+    if (!point.validation) indices.push(index);
+  });
+  return indices;
+}
+
+function validationExamples() {
+  return dataset.filter((point) => point.validation).map(pointExample);
+}
+
+function shuffled(values) {
+  const result = values.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Hold out a random VALIDATION_FRACTION of the points when the split is on
+function assignValidationSplit() {
+  const validationCount = validationSplitCheckbox.checked
+    ? Math.round(dataset.length * VALIDATION_FRACTION)
+    : 0;
+  dataset.forEach((point) => {
+    point.validation = false;
+  });
+  shuffled(dataset.map((_, index) => index))
+    .slice(0, validationCount)
+    .forEach((index) => {
+      dataset[index].validation = true;
+    });
+}
+
+// Take the next mini-batch from a shuffled pass over the training points,
+// reshuffling once every point has been used (one epoch).
+function drawMiniBatch() {
+  const pool = trainingIndices();
+  const batchSize = Math.min(parseInt(batchSizeSlider.value, 10), pool.length);
+  if (batchOrder.length !== pool.length || batchCursor + batchSize > batchOrder.length) {
+    batchOrder = shuffled(pool);
+    batchCursor = 0;
+  }
+  currentBatch = batchOrder.slice(batchCursor, batchCursor + batchSize);
+  batchCursor += batchSize;
+}
+
+function resetBatches() {
+  batchOrder = [];
+  batchCursor = 0;
+  drawMiniBatch();
+}
+
+function generateDataset() {
+  dataset = DATASETS[datasetSelect.value].generate();
+  selectedExampleIndex = 0;
+  assignValidationSplit();
+  resetBatches();
+  resetTrainingStats();
+}
+
+function selectExample(index) {
+  selectedExampleIndex = index;
+  syncSlidersToExample();
+}
+
+// Mirror the selected point in the (disabled) input sliders and target controls
+function syncSlidersToExample() {
+  if (!isDatasetMode()) return;
+  const { inputVector, targets } = pointExample(dataset[selectedExampleIndex]);
+  setInputControls(inputVector);
+  setTargetControls(targets);
+}
+
+function updateDataModeUI() {
+  const datasetMode = dataModeSelect.value === "dataset";
+  datasetControlsEl.hidden = !datasetMode;
+  datasetPanelEl.hidden = !datasetMode;
+  batchSizeGroupEl.hidden = batchModeSelect.value !== "minibatch";
+  [...inputSliders(), ...targetSliders(), targetClassSelect].forEach((control) => {
+    control.disabled = isDatasetMode();
+  });
+
+  const inputCount = architecture.inputCount;
+  featureNoteEl.hidden = !datasetMode || inputCount === 2;
+  featureNoteEl.textContent =
+    inputCount === 1
+      ? "With one input the network only sees the x₁ coordinate of each point."
+      : "The points only have x₁ and x₂, so the other inputs are engineered from them: " +
+        DERIVED_FEATURES.slice(0, inputCount - 2)
+          .map((feature, offset) => `x${subscript(offset + 3)} = ${feature.label}`)
+          .join(", ") +
+        ".";
+  syncInputLabels();
+  syncSlidersToExample();
+}
+
+// Dataset plot: the input plane [-1, 1]² mapped into the SVG viewBox
+const DATASET_PLOT_SIZE = 240;
+const DATASET_PLOT_PADDING = 12;
+
+function planeToPlot(value, axis) {
+  const span = DATASET_PLOT_SIZE - 2 * DATASET_PLOT_PADDING;
+  const t = (value + 1) / 2;
+  return axis === "x"
+    ? DATASET_PLOT_PADDING + t * span
+    : DATASET_PLOT_SIZE - DATASET_PLOT_PADDING - t * span;
+}
+
+function plotToPlane(value, axis) {
+  const span = DATASET_PLOT_SIZE - 2 * DATASET_PLOT_PADDING;
+  const t = axis === "x"
+    ? (value - DATASET_PLOT_PADDING) / span
+    : (DATASET_PLOT_SIZE - DATASET_PLOT_PADDING - value) / span;
+  return clampInput(t * 2 - 1);
+}
+
+function drawDataset() {
+  if (datasetPanelEl.hidden) return;
+  datasetSvg.innerHTML = "";
+
+  const frame = DATASET_PLOT_SIZE - 2 * DATASET_PLOT_PADDING;
+  const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  background.setAttribute("x", DATASET_PLOT_PADDING);
+  background.setAttribute("y", DATASET_PLOT_PADDING);
+  background.setAttribute("width", frame);
+  background.setAttribute("height", frame);
+  background.setAttribute("class", "plot-frame");
+  datasetSvg.appendChild(background);
+
+  const center = planeToPlot(0, "x");
+  const far = DATASET_PLOT_SIZE - DATASET_PLOT_PADDING;
+  datasetSvg.appendChild(createLine(center, DATASET_PLOT_PADDING, center, far, "plot-axis"));
+  datasetSvg.appendChild(createLine(DATASET_PLOT_PADDING, center, far, center, "plot-axis"));
+
+  let batchIndices = [];
+  if (batchModeSelect.value === "full") batchIndices = trainingIndices();
+  else if (batchModeSelect.value === "minibatch") batchIndices = currentBatch;
+  const inBatch = new Set(batchIndices);
+
+  dataset.forEach((point, index) => {
+    const classes = [
+      "data-point",
+      `data-point-${point.targetOutput >= 0.5 ? 1 : 0}`,
+      inBatch.has(index) ? "in-batch" : "",
+      index === selectedExampleIndex ? "selected" : "",
+      point.validation ? "validation" : "",
+    ].join(" ");
+    const circle = createCircle(
+      planeToPlot(point.inputVector[0], "x"),
+      planeToPlot(point.inputVector[1], "y"),
+      index === selectedExampleIndex ? 6 : 4,
+      classes.trim()
+    );
+    circle.dataset.index = String(index);
+    datasetSvg.appendChild(circle);
+  });
+
+  const batch = cache.batch;
+  const heldOut = validationExamples().length;
+  if (dataset.length === 0) {
+    datasetSummaryEl.textContent = "No points yet: click the plot to add some.";
+  } else {
+    datasetSummaryEl.textContent =
+      `${dataset.length} point${dataset.length === 1 ? "" : "s"}` +
+      (heldOut > 0 ? ` (${heldOut} held out)` : "") +
+      " · " +
+      (batch ? `batch of ${batch.size} · batch loss ${fmt(batch.loss)}` : `example loss ${fmt(cache.loss)}`);
+  }
+}
+
+// Output map
+// With two inputs the network's whole function fits in a picture: we
+// evaluate it on a grid over [-1, 1]² and colour each cell by ŷ (or by one
+// hidden neuron's activation for the feature maps). A 1-input network is
+// drawn as the curve of ŷ against x₁ over the same colours, and with more
+// than two inputs the map is the (x₁, x₂) slice through the other inputs.
+const MAP_RESOLUTION = 50;
+const MAP_COLOR_LOW = [56, 189, 248];  // class 0 colour of the dataset plot
+const MAP_COLOR_MID = [15, 23, 42];
+const MAP_COLOR_HIGH = [249, 115, 22]; // class 1 colour of the dataset plot
+
+// Network inputs at a point of the plane. Inputs after x₂ are engineered
+// from (x₁, x₂) in dataset mode, otherwise held at their slider values.
+// A 1-input network just ignores x₂.
+function planeInputBuilder() {
+  if (isDatasetMode()) return (x1, x2) => featureVector([x1, x2]);
+  const fixed = sliderInputs().slice(2);
+  return (x1, x2) => [x1, x2, ...fixed].slice(0, architecture.inputCount);
+}
+
+// Evaluate the network on every grid cell. Row 0 is the top of the
+// plane (x₂ = 1), matching canvas coordinates.
+function computeInputPlaneGrid() {
+  const cellCount = MAP_RESOLUTION * MAP_RESOLUTION;
+  const planeInputs = planeInputBuilder();
+  const layerValues = getLayerSizes()
+    .slice(1)
+    .map((size) => Array.from({ length: size }, () => new Float64Array(cellCount)));
+
+  for (let row = 0; row < MAP_RESOLUTION; row++) {
+    const x2 = 1 - (2 * (row + 0.5)) / MAP_RESOLUTION;
+    for (let col = 0; col < MAP_RESOLUTION; col++) {
+      const x1 = -1 + (2 * (col + 0.5)) / MAP_RESOLUTION;
+      const { layerActivations } = forwardExample(planeInputs(x1, x2), labelTargets(0));
+      const cell = row * MAP_RESOLUTION + col;
+      layerActivations.forEach((activations, layerIndex) => {
+        activations.forEach((value, neuronIndex) => {
+          layerValues[layerIndex][neuronIndex][cell] = value;
+        });
+      });
+    }
+  }
+  return layerValues;
+}
+
+// Colour range for a map: the activation's own range when it is bounded
+// (sigmoid, tanh, softmax), otherwise whatever the map contains.
+function mapRange(activation, values) {
+  if (activation.range) return activation.range;
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  return max - min < 1e-9 ? [min - 0.5, max + 0.5] : [min, max];
+}
+
+function mapColor(t) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const [from, to, local] =
+    clamped < 0.5 ? [MAP_COLOR_LOW, MAP_COLOR_MID, clamped * 2] : [MAP_COLOR_MID, MAP_COLOR_HIGH, clamped * 2 - 1];
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * local));
+}
+
+// Paint one map. Cells where the value crosses the middle of the range
+// (ŷ = 0.5 for a sigmoid output) are drawn light to show the boundary.
+function paintMap(canvas, values, range) {
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(MAP_RESOLUTION, MAP_RESOLUTION);
+  const [low, high] = range;
+  const threshold = (low + high) / 2;
+
+  for (let row = 0; row < MAP_RESOLUTION; row++) {
+    for (let col = 0; col < MAP_RESOLUTION; col++) {
+      const cell = row * MAP_RESOLUTION + col;
+      const above = values[cell] >= threshold;
+      const right = col + 1 < MAP_RESOLUTION && values[cell + 1] >= threshold;
+      const below = row + 1 < MAP_RESOLUTION && values[cell + MAP_RESOLUTION] >= threshold;
+      const onBoundary =
+        (col + 1 < MAP_RESOLUTION && right !== above) || (row + 1 < MAP_RESOLUTION && below !== above);
+      const [r, g, b] = onBoundary ? [229, 231, 235] : mapColor((values[cell] - low) / (high - low));
+      image.data[cell * 4] = r;
+      image.data[cell * 4 + 1] = g;
+      image.data[cell * 4 + 2] = b;
+      image.data[cell * 4 + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+function planeToMap(value, axis) {
+  const t = (value + 1) / 2;
+  return axis === "x" ? t * 100 : (1 - t) * 100;
+}
+
+// Height of a value on the 1-input curve, in overlay coordinates
+function curveY(value, [low, high]) {
+  return (1 - (value - low) / (high - low)) * 100;
+}
+
+// ŷ against x₁ for a 1-input network, with each dataset point at its target
+function drawOutputCurveOverlay(values, range, outputIndex) {
+  outputMapOverlay.innerHTML = "";
+  const points = [];
+  for (let col = 0; col < MAP_RESOLUTION; col++) {
+    points.push(`${((col + 0.5) / MAP_RESOLUTION) * 100},${curveY(values[col], range)}`);
+  }
+  const curve = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+  curve.setAttribute("points", points.join(" "));
+  curve.setAttribute("class", "map-curve");
+  outputMapOverlay.appendChild(curve);
+
+  if (isDatasetMode()) {
+    dataset.forEach((point) => {
+      const dot = createCircle(
+        planeToMap(point.inputVector[0], "x"),
+        curveY(labelTargets(point.targetOutput)[outputIndex], range),
+        1.4,
+        `map-point data-point-${point.targetOutput >= 0.5 ? 1 : 0}${point.validation ? " validation" : ""}`
+      );
+      outputMapOverlay.appendChild(dot);
+    });
+  }
+
+  const marker = createCircle(
+    planeToMap(cache.inputVector[0], "x"),
+    curveY(cache.predictions[outputIndex], range),
+    3,
+    "map-marker"
+  );
+  outputMapOverlay.appendChild(marker);
+}
+
+// Dataset points and the current walkthrough example on top of the output map
+function drawOutputMapOverlay() {
+  outputMapOverlay.innerHTML = "";
+  if (isDatasetMode()) {
+    dataset.forEach((point) => {
+      const dot = createCircle(
+        planeToMap(point.inputVector[0], "x"),
+        planeToMap(point.inputVector[1], "y"),
+        1.4,
+        `map-point data-point-${point.targetOutput >= 0.5 ? 1 : 0}${point.validation ? " validation" : ""}`
+      );
+      outputMapOverlay.appendChild(dot);
+    });
+  }
+
+  const [x1, x2] = cache.inputVector;
+  const marker = createCircle(planeToMap(x1, "x"), planeToMap(x2, "y"), 3, "map-marker");
+  outputMapOverlay.appendChild(marker);
+}
+
+// With several outputs the map shows the one picked next to its heading
+function mapOutputIndex() {
+  const outputCount = architecture.outputCount;
+  mapOutputSelect.hidden = outputCount === 1;
+  if (mapOutputSelect.options.length !== outputCount) {
+    const selected = Math.min(parseInt(mapOutputSelect.value, 10) || 0, outputCount - 1);
+    mapOutputSelect.innerHTML = Array.from(
+      { length: outputCount },
+      (_, outputIndex) =>
+        `<option value="${outputIndex}"${outputIndex === selected ? " selected" : ""}>ŷ${subscript(outputIndex + 1)}</option>`
+    ).join("");
+  }
+  return parseInt(mapOutputSelect.value, 10) || 0;
+}
+
+function drawOutputMap() {
+  const layerValues = computeInputPlaneGrid();
+  const outputLayer = getLayerCount() - 1;
+  const outputIndex = mapOutputIndex();
+  const outputActivation = activationOf(outputLayer);
+  const outputValues = layerValues[outputLayer][outputIndex];
+  const outputRange = mapRange(outputActivation, outputValues);
+  const name = outputRef("ŷ", outputIndex);
+
+  const inputCount = architecture.inputCount;
+  const at = cache.inputVector.slice(0, 2).map((value) => fmt(value, 2)).join(", ");
+
+  paintMap(outputMapCanvas, outputValues, outputRange);
+  if (inputCount === 1) drawOutputCurveOverlay(outputValues, outputRange, outputIndex);
+  else drawOutputMapOverlay();
+  outputMapSummaryEl.textContent =
+    (inputCount === 1 ? `Curve of ${name} against x₁, ` : "") +
+    `${name} from ${fmt(outputRange[0], 2)} (blue) to ${fmt(outputRange[1], 2)} (orange) · ` +
+    `${name}(${at}) = ${fmt(cache.predictions[outputIndex])}` +
+    (inputCount > 2
+      ? ` · ${inputCount === 3 ? "x₃" : `x₃ … x${subscript(inputCount)}`} ` +
+        (isDatasetMode() ? "engineered from x₁ and x₂" : "held at the slider values")
+      : "");
+
+  hiddenMapsEl.hidden = !hiddenMapsCheckbox.checked;
+  if (hiddenMapsEl.hidden) return;
+
+  // Rebuild the small multiples only when the hidden layers change shape
+  const signature = architecture.hiddenLayerSizes.join(",");
+  if (hiddenMapsEl.dataset.signature !== signature) {
+    hiddenMapsEl.dataset.signature = signature;
+    hiddenMapsEl.innerHTML = "";
+    for (let layerIndex = 0; layerIndex < outputLayer; layerIndex++) {
+      const sym = layerSymbols(layerIndex);
+      layerValues[layerIndex].forEach((_, neuronIndex) => {
+        const figure = document.createElement("figure");
+        figure.className = "hidden-map";
+        figure.innerHTML = `
+          <canvas width="${MAP_RESOLUTION}" height="${MAP_RESOLUTION}"></canvas>
+          <figcaption>${sym.act}[${neuronIndex + 1}]</figcaption>
+        `;
+        figure.dataset.layer = String(layerIndex);
+        figure.dataset.neuron = String(neuronIndex);
+        hiddenMapsEl.appendChild(figure);
+      });
+    }
+  }
+
+  Array.from(hiddenMapsEl.querySelectorAll(".hidden-map")).forEach((figure) => {
+    const layerIndex = parseInt(figure.dataset.layer, 10);
+    const values = layerValues[layerIndex][parseInt(figure.dataset.neuron, 10)];
+    const range = mapRange(activationOf(layerIndex), values);
+    paintMap(figure.querySelector("canvas"), values, range);
+    figure.title = `${activationOf(layerIndex).label}, colour range ${fmt(range[0], 2)} to ${fmt(range[1], 2)}`;
+  });
+}
+
+// Loss landscape
+// L as a function of two chosen parameters, every other weight held at
+// its current value: a grid around the current point (the centre of the
+// picture), coloured on a log scale with contour lines. Every applied
+// update and training iteration adds to the path drawn on top, and on the
+// update step an arrow shows where the pending step would land. The loss
+// is the one the update minimises: the batch average, or the single
+// example without a batch.
+const LANDSCAPE_RESOLUTION = 25;
+const LANDSCAPE_CONTOURS = 10;
+const LANDSCAPE_MAX_PATH = 2000;             // most recent positions kept
+const LANDSCAPE_TRAINING_REFRESH_MS = 1000; // grid refresh while training
+
+let landscapePath = [];   // every parameter, flattened, after each applied step
+let landscapeGrid = null; // { view, signature, time, centre, values, range }
+
+// One entry per weight and bias: its name and a key into params
+function parameterList() {
+  const entries = [];
+  params.weights.forEach((layer, layerIndex) => {
+    layer.forEach((row, neuronIndex) => {
+      row.forEach((_, inputIndex) => {
+        entries.push({ key: `w:${layerIndex}:${neuronIndex}:${inputIndex}`, name: weightRef(layerIndex, neuronIndex + 1, inputIndex + 1) });
+      });
+      entries.push({ key: `b:${layerIndex}:${neuronIndex}`, name: biasRef(layerIndex, neuronIndex + 1) });
+    });
+  });
+  return entries;
+}
+
+// Array holding a parameter and its index in it, so it can be read and nudged
+function parameterSlot(key) {
+  const [kind, layerIndex, neuronIndex, inputIndex] = key.split(":");
+  return kind === "w"
+    ? [params.weights[layerIndex][neuronIndex], Number(inputIndex)]
+    : [params.biases[layerIndex], Number(neuronIndex)];
+}
+
+// Every weight and bias in parameterList order
+function flattenParams(source) {
+  const values = [];
+  source.weights.forEach((layer, layerIndex) => {
+    layer.forEach((row, neuronIndex) => values.push(...row, source.biases[layerIndex][neuronIndex]));
+  });
+  return values;
+}
+
+// Called around every applied step: the starting point first, then each new position
+function recordLandscapeStep(before) {
+  if (landscapePath.length === 0) landscapePath.push(before);
+  landscapePath.push(flattenParams(params));
+  if (landscapePath.length > LANDSCAPE_MAX_PATH) landscapePath.shift();
+}
+
+function resetLandscapePath() {
+  landscapePath = [];
+}
+
+// Refill both pickers when the architecture changes, starting again from
+// the output layer's first weight and its bias
+function syncLandscapeSelects(entries) {
+  const signature = getLayerSizes().join(",");
+  if (landscapeXSelect.dataset.signature === signature) return;
+  landscapeXSelect.dataset.signature = signature;
+  [
+    [landscapeXSelect, `w:${getLayerCount() - 1}:0:0`],
+    [landscapeYSelect, `b:${getLayerCount() - 1}:0`],
+  ].forEach(([select, selected]) => {
+    select.innerHTML = entries
+      .map((entry) => `<option value="${entry.key}"${entry.key === selected ? " selected" : ""}>${entry.name}</option>`)
+      .join("");
+  });
+}
+
+// Loss over the grid, row 0 at the top (largest y value)
+function computeLandscapeGrid(xKey, yKey, span) {
+  const examples = updateExamples();
+  const [xSlot, xIndex] = parameterSlot(xKey);
+  const [ySlot, yIndex] = parameterSlot(yKey);
+  const xCentre = xSlot[xIndex];
+  const yCentre = ySlot[yIndex];
+  const values = new Float64Array(LANDSCAPE_RESOLUTION * LANDSCAPE_RESOLUTION);
+
+  for (let row = 0; row < LANDSCAPE_RESOLUTION; row++) {
+    ySlot[yIndex] = yCentre + span * (1 - (2 * (row + 0.5)) / LANDSCAPE_RESOLUTION);
+    for (let col = 0; col < LANDSCAPE_RESOLUTION; col++) {
+      xSlot[xIndex] = xCentre + span * (-1 + (2 * (col + 0.5)) / LANDSCAPE_RESOLUTION);
+      values[row * LANDSCAPE_RESOLUTION + col] = averageLoss(examples);
+    }
+  }
+  xSlot[xIndex] = xCentre;
+  ySlot[yIndex] = yCentre;
+
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  return { values, range: [min, max] };
+}
+
+// Log-scaled position of a loss between the grid's lowest and highest value
+function landscapeLevel(value, [low, high]) {
+  const logLow = Math.log(low + LOG_EPSILON);
+  const logHigh = Math.log(high + LOG_EPSILON);
+  return logHigh - logLow < 1e-12 ? 0.5 : (Math.log(value + LOG_EPSILON) - logLow) / (logHigh - logLow);
+}
+
+// Low loss blue, high loss orange, with a light line wherever two
+// neighbouring cells fall in different contour bands
+function paintLandscape(values, range) {
+  const ctx = landscapeCanvas.getContext("2d");
+  const image = ctx.createImageData(LANDSCAPE_RESOLUTION, LANDSCAPE_RESOLUTION);
+  const band = (cell) => Math.min(LANDSCAPE_CONTOURS - 1, Math.floor(landscapeLevel(values[cell], range) * LANDSCAPE_CONTOURS));
+
+  for (let row = 0; row < LANDSCAPE_RESOLUTION; row++) {
+    for (let col = 0; col < LANDSCAPE_RESOLUTION; col++) {
+      const cell = row * LANDSCAPE_RESOLUTION + col;
+      const onContour =
+        (col + 1 < LANDSCAPE_RESOLUTION && band(cell + 1) !== band(cell)) ||
+        (row + 1 < LANDSCAPE_RESOLUTION && band(cell + LANDSCAPE_RESOLUTION) !== band(cell));
+      const [r, g, b] = onContour ? [148, 163, 184] : mapColor(landscapeLevel(values[cell], range));
+      image.data[cell * 4] = r;
+      image.data[cell * 4 + 1] = g;
+      image.data[cell * 4 + 2] = b;
+      image.data[cell * 4 + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+function drawLossLandscape() {
+  const entries = parameterList();
+  syncLandscapeSelects(entries);
+  const xKey = landscapeXSelect.value;
+  const yKey = landscapeYSelect.value;
+  const span = parseFloat(landscapeSpanSelect.value);
+  const [xSlot, xIndex] = parameterSlot(xKey);
+  const [ySlot, yIndex] = parameterSlot(yKey);
+  const xValue = xSlot[xIndex];
+  const yValue = ySlot[yIndex];
+
+  // The grid only depends on the view, the weights, the examples and the
+  // loss. While training the weights change every frame, so the grid of the
+  // same view is refreshed only a few times a second.
+  const view = JSON.stringify([getLayerSizes(), xKey, yKey, span]);
+  const signature = JSON.stringify([params, lossSelect.value, architecture.activations, updateExamples()]);
+  const now = performance.now();
+  const sameView = landscapeGrid && landscapeGrid.view === view;
+  const stale = !sameView || landscapeGrid.signature !== signature;
+  if (stale && (!sameView || !isTraining() || now - landscapeGrid.time > LANDSCAPE_TRAINING_REFRESH_MS)) {
+    landscapeGrid = { view, signature, time: now, centre: [xValue, yValue], ...computeLandscapeGrid(xKey, yKey, span) };
+    paintLandscape(landscapeGrid.values, landscapeGrid.range);
+  }
+
+  // Overlay coordinates follow the grid that is painted, which lags a
+  // little behind the weights while training
+  const [xCentre, yCentre] = landscapeGrid.centre;
+  const toX = (value) => ((value - xCentre) / span + 1) * 50;
+  const toY = (value) => (1 - (value - yCentre) / span) * 50;
+  landscapeOverlay.innerHTML = "";
+
+  const xFlat = entries.findIndex((entry) => entry.key === xKey);
+  const yFlat = entries.findIndex((entry) => entry.key === yKey);
+  if (landscapePath.length > 1) {
+    const path = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+    path.setAttribute("points", landscapePath.map((flat) => `${toX(flat[xFlat])},${toY(flat[yFlat])}`).join(" "));
+    path.setAttribute("class", "landscape-path");
+    landscapeOverlay.appendChild(path);
+  }
+
+  let pending = null;
+  if (getSteps()[currentStep].kind === "update" && !lastUpdate) {
+    pending = previewUpdate();
+    const flat = flattenParams(pending.newParams);
+    const arrow = createLine(toX(xValue), toY(yValue), toX(flat[xFlat]), toY(flat[yFlat]), "landscape-step");
+    landscapeOverlay.appendChild(arrow);
+    pending.position = [flat[xFlat], flat[yFlat]];
+  }
+
+  landscapeOverlay.appendChild(createCircle(toX(xValue), toY(yValue), 2.5, "map-marker"));
+
+  const names = Object.fromEntries(entries.map((entry) => [entry.key, entry.name]));
+  landscapeSummaryEl.textContent =
+    `${names[xKey]} → ${fmt(xCentre - span, 2)} to ${fmt(xCentre + span, 2)}, ` +
+    `${names[yKey]} ↑ ${fmt(yCentre - span, 2)} to ${fmt(yCentre + span, 2)} · ` +
+    `L from ${fmtSmall(landscapeGrid.range[0])} (blue) to ${fmtSmall(landscapeGrid.range[1])} (orange), log colour scale · ` +
+    `path: ${Math.max(0, landscapePath.length - 1)} steps` +
+    (pending
+      ? ` · the pending step moves to (${fmt(pending.position[0])}, ${fmt(pending.position[1])}), ` +
+        `L ${fmtSmall(pending.oldLoss)} → ${fmtSmall(pending.newLoss)} (every other parameter moves too)`
+      : "");
+}
+
+// Compare runs
+// Run B is a second network next to the main one (run A). It starts from
+// run A's weights and takes a step whenever run A does, on the same
+// examples, with its own α, optimizer, schedule and hidden widths; loss,
+// activations and weight decay follow the main controls. Widths only run B
+// has are filled from the same init scheme and seed, so every weight the
+// two runs share starts out identical.
+const COMPARE_TOLERANCE = 5e-5;
+
+// { id, layerSizes, settings, params, optimizerState, iteration, history, historyStride, lastUpdate }
+let compareRun = null;
+let compareRunCount = 0;
+
+// Run B's hidden widths from its text field: one width for every hidden
+// layer, or one per layer. Anything else keeps run A's widths.
+function compareHiddenSizes() {
+  const text = compareHiddenInput.value.trim();
+  if (text === "") return { sizes: architecture.hiddenLayerSizes.slice(), error: null };
+  const sizes = text.split(/[\s,]+/).map(Number);
+  const layerCount = architecture.hiddenLayerSizes.length;
+  const valid = sizes.every((size) => Number.isInteger(size) && size >= 1 && size <= MAX_LAYER_WIDTH);
+  if (valid && sizes.length === 1) return { sizes: new Array(layerCount).fill(sizes[0]), error: null };
+  if (valid && sizes.length === layerCount) return { sizes, error: null };
+  return {
+    sizes: architecture.hiddenLayerSizes.slice(),
+    error: `Hidden neurons takes one width (1–${MAX_LAYER_WIDTH}) or one per hidden layer (${layerCount}); using run A's.`,
+  };
+}
+
+// Starts run B afresh from run A's current weights, or drops it when
+// compare mode is off
+function restartComparison() {
+  if (!compareCheckbox.checked) {
+    compareRun = null;
+    return;
+  }
+  const { sizes, error } = compareHiddenSizes();
+  const layerSizes = [architecture.inputCount, ...sizes, architecture.outputCount];
+  const startParams = initWeights(layerSizes, initSchemeSelect.value, initSeedInput.value);
+  startParams.weights.forEach((layer, layerIndex) => {
+    layer.forEach((row, neuronIndex) => {
+      const sourceRow = params.weights[layerIndex][neuronIndex];
+      row.forEach((_, inputIndex) => {
+        if (sourceRow && sourceRow[inputIndex] != null) row[inputIndex] = sourceRow[inputIndex];
+      });
+      const sourceBias = params.biases[layerIndex][neuronIndex];
+      if (sourceBias != null) startParams.biases[layerIndex][neuronIndex] = sourceBias;
+    });
+  });
+
+  const learningRate = parseFloat(compareLrInput.value);
+  const settings = {
+    learningRate: learningRate > 0 ? learningRate : parseFloat(lrSlider.value),
+    optimizer: OPTIMIZERS[compareOptimizerSelect.value] ? compareOptimizerSelect.value : "sgd",
+    schedule: LR_SCHEDULES[compareScheduleSelect.value] ? compareScheduleSelect.value : "constant",
+    error,
+  };
+  compareRunCount += 1;
+  compareRun = {
+    id: compareRunCount,
+    layerSizes,
+    settings,
+    params: startParams,
+    optimizerState: createOptimizerState(startParams, settings.optimizer),
+    iteration: 0,
+    history: [],
+    historyStride: 1,
+    lastUpdate: null,
+  };
+}
+
+function compareModel() {
+  return { params: compareRun.params, activations: architecture.activations, loss: lossSelect.value };
+}
+
+// Run B's next update on the examples run A's would use, without applying it
+function previewComparisonUpdate() {
+  const { settings } = compareRun;
+  const examples = updateExamples();
+  const model = { ...compareModel(), params: cloneParams(compareRun.params) };
+  const newOptimizerState = cloneOptimizerState(compareRun.optimizerState);
+  const gradients = batchGradients(model, examples);
+  const learningRate = scheduledLearningRate(settings.schedule, settings.learningRate, compareRun.iteration);
+  optimizerStep(model, newOptimizerState, gradients, {
+    optimizer: settings.optimizer,
+    learningRate,
+    weightDecay: parseFloat(weightDecaySlider.value),
+  });
+  return {
+    learningRate,
+    oldParams: compareRun.params,
+    newParams: model.params,
+    newOptimizerState,
+    oldLoss: gradients.loss,
+    newLoss: meanLoss(model, examples),
+  };
+}
+
+// Called wherever run A takes a step, with the loss run A started from
+function stepComparison(runALoss) {
+  if (!compareRun) return;
+  const update = previewComparisonUpdate();
+  compareRun.params = update.newParams;
+  compareRun.optimizerState = update.newOptimizerState;
+  compareRun.iteration += 1;
+  compareRun.lastUpdate = update;
+
+  // Thinned out like the loss chart's history
+  if (compareRun.iteration % compareRun.historyStride !== 0) return;
+  compareRun.history.push({ iteration: compareRun.iteration, a: runALoss, b: update.oldLoss });
+  if (compareRun.history.length > MAX_LOSS_HISTORY) {
+    compareRun.historyStride *= 2;
+    compareRun.history = compareRun.history.filter((entry) => entry.iteration % compareRun.historyStride === 0);
+  }
+}
+
+// Run B's part of an undo snapshot; only restored into the same run
+function compareSnapshot() {
+  if (!compareRun) return null;
+  return {
+    id: compareRun.id,
+    params: cloneParams(compareRun.params),
+    optimizerState: cloneOptimizerState(compareRun.optimizerState),
+    iteration: compareRun.iteration,
+    history: compareRun.history.slice(),
+    historyStride: compareRun.historyStride,
+  };
+}
+
+function restoreCompareSnapshot(snapshot) {
+  if (!snapshot || !compareRun || snapshot.id !== compareRun.id) return;
+  compareRun.params = snapshot.params;
+  compareRun.optimizerState = snapshot.optimizerState;
+  compareRun.iteration = snapshot.iteration;
+  compareRun.history = snapshot.history;
+  compareRun.historyStride = snapshot.historyStride;
+  compareRun.lastUpdate = null;
+}
+
+// Value cards for one run at the walkthrough's current step. Labels carry
+// both indices so the same quantity has the same label in either run.
+function comparisonValues(step, example, update, layerSizes) {
+  const pairs = [];
+  const neuronLabel = (layerIndex, name, neuronIndex) =>
+    isOutputLayer(layerIndex) ? outputRef(name, neuronIndex) : `${name}[${neuronIndex + 1}]`;
+
+  if (step.kind === "forward") {
+    example.layerActivations.forEach((activations, layerIndex) => {
+      const sym = layerSymbols(layerIndex);
+      activations.forEach((value, neuronIndex) => pairs.push([neuronLabel(layerIndex, sym.act, neuronIndex), value]));
+    });
+  } else if (step.kind === "loss") {
+    example.predictions.forEach((value, outputIndex) => pairs.push([outputRef("ŷ", outputIndex), value]));
+    pairs.push(["Loss L", example.loss]);
+  } else if (step.kind === "backward") {
+    const { layerIndex } = step;
+    const sym = layerSymbols(layerIndex);
+    example.gradLossWrtLayerSums[layerIndex].forEach((value, neuronIndex) => {
+      pairs.push([`dL/d${neuronLabel(layerIndex, sym.sum, neuronIndex)}`, value]);
+    });
+    example.gradLossWrtWeights[layerIndex].forEach((row, neuronIndex) => {
+      row.forEach((value, inputIndex) => pairs.push([`dL/d${sym.weight}[${neuronIndex + 1},${inputIndex + 1}]`, value]));
+    });
+  } else if (step.kind === "update") {
+    pairs.push(["α used", update.learningRate], ["Loss before", update.oldLoss], ["Loss after", update.newLoss]);
+    for (let layerIndex = 0; layerIndex < layerSizes.length - 1; layerIndex++) {
+      const sym = layerSymbols(layerIndex);
+      update.newParams.weights[layerIndex].forEach((row, neuronIndex) => {
+        row.forEach((weight, inputIndex) => {
+          pairs.push([
+            `Δ${sym.weight}[${neuronIndex + 1},${inputIndex + 1}]`,
+            weight - update.oldParams.weights[layerIndex][neuronIndex][inputIndex],
+          ]);
+        });
+      });
+    }
+  }
+  return pairs;
+}
+
+// Small weight diagram: line width is |w|, colour its sign, and neuron
+// fills the activations of the walkthrough example
+function drawCompareDiagram(svgEl, layerSizes, runParams, example) {
+  svgEl.innerHTML = "";
+  const width = 240;
+  const height = 120;
+  const columnX = (column) => 14 + (column * (width - 28)) / (layerSizes.length - 1);
+  const rowY = (column, row) => ((row + 1) * height) / (layerSizes[column] + 1);
+  const maxWeight = maxAbsParameter(runParams.weights, runParams.biases);
+
+  runParams.weights.forEach((layer, layerIndex) => {
+    layer.forEach((row, neuronIndex) => {
+      row.forEach((weight, inputIndex) => {
+        const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+        line.setAttribute("x1", fmt(columnX(layerIndex), 1));
+        line.setAttribute("y1", fmt(rowY(layerIndex, inputIndex), 1));
+        line.setAttribute("x2", fmt(columnX(layerIndex + 1), 1));
+        line.setAttribute("y2", fmt(rowY(layerIndex + 1, neuronIndex), 1));
+        const strength = maxWeight > 0 ? Math.abs(weight) / maxWeight : 0;
+        line.style.stroke = weight >= 0 ? WEIGHT_COLOR_POSITIVE : WEIGHT_COLOR_NEGATIVE;
+        line.style.strokeOpacity = (0.3 + 0.7 * strength).toFixed(2);
+        line.style.strokeWidth = (0.5 + 3 * strength).toFixed(2);
+        svgEl.appendChild(line);
+      });
+    });
+  });
+
+  const values = [example.inputVector, ...example.layerActivations];
+  values.forEach((column, columnIndex) => {
+    column.forEach((value, row) => {
+      const circle = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+      circle.setAttribute("cx", fmt(columnX(columnIndex), 1));
+      circle.setAttribute("cy", fmt(rowY(columnIndex, row), 1));
+      circle.setAttribute("r", 6);
+      circle.setAttribute("class", "compare-node");
+      const [r, g, b] = mapColor((value + 1) / 2);
+      circle.style.fill = `rgb(${r}, ${g}, ${b})`;
+      svgEl.appendChild(circle);
+    });
+  });
+}
+
+// Both loss histories on one chart, on the loss curve's scale
+function drawCompareChart() {
+  compareChartSvg.innerHTML = "";
+  const { left, right, top, bottom } = LOSS_CHART_MARGIN;
+  const plotWidth = LOSS_CHART_WIDTH - left - right;
+  const plotHeight = LOSS_CHART_HEIGHT - top - bottom;
+
+  const frame = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  frame.setAttribute("x", left);
+  frame.setAttribute("y", top);
+  frame.setAttribute("width", plotWidth);
+  frame.setAttribute("height", plotHeight);
+  frame.setAttribute("class", "plot-frame");
+  compareChartSvg.appendChild(frame);
+
+  const { history } = compareRun;
+  if (history.length === 0) {
+    compareChartSvg.appendChild(
+      createText(left + plotWidth / 2, top + plotHeight / 2, "No updates since the start", "chart-empty-text")
+    );
+    return;
+  }
+
+  const logScale = lossLogScaleCheckbox.checked;
+  const transform = (loss) => (logScale ? Math.log10(Math.max(loss, LOG_SCALE_FLOOR)) : loss);
+  const allValues = history.flatMap((entry) => [transform(entry.a), transform(entry.b)]).filter(Number.isFinite);
+  let minValue = Math.min(...allValues);
+  let maxValue = Math.max(...allValues);
+  if (!logScale) minValue = Math.min(0, minValue);
+  if (!(maxValue - minValue > 1e-12)) maxValue = minValue + 1;
+
+  const firstIteration = history[0].iteration;
+  const lastIteration = Math.max(history[history.length - 1].iteration, firstIteration + 1);
+  const toX = (iteration) => left + ((iteration - firstIteration) / (lastIteration - firstIteration)) * plotWidth;
+  const toY = (value) => top + (1 - (Math.min(maxValue, value) - minValue) / (maxValue - minValue)) * plotHeight;
+
+  [
+    { key: "a", cls: "chart-line-train" },
+    { key: "b", cls: "chart-line-compare" },
+  ].forEach(({ key, cls }) => {
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+    line.setAttribute(
+      "points",
+      history
+        .filter((entry) => Number.isFinite(entry[key]))
+        .map((entry) => `${fmt(toX(entry.iteration), 1)},${fmt(toY(transform(entry[key])), 1)}`)
+        .join(" ")
+    );
+    line.setAttribute("class", `chart-line ${cls}`);
+    compareChartSvg.appendChild(line);
+  });
+
+  const axisLabel = (value) => (logScale ? Math.pow(10, value).toExponential(1) : fmt(value, 3));
+  compareChartSvg.appendChild(createText(left - 4, top + 8, axisLabel(maxValue), "chart-axis-text chart-axis-y"));
+  compareChartSvg.appendChild(createText(left - 4, top + plotHeight, axisLabel(minValue), "chart-axis-text chart-axis-y"));
+  compareChartSvg.appendChild(createText(left, LOSS_CHART_HEIGHT - 6, String(firstIteration), "chart-axis-text"));
+  compareChartSvg.appendChild(
+    createText(left + plotWidth, LOSS_CHART_HEIGHT - 6, String(lastIteration), "chart-axis-text chart-axis-end")
+  );
+  compareChartSvg.appendChild(
+    createText(left + plotWidth / 2, LOSS_CHART_HEIGHT - 6, "update", "chart-axis-text chart-axis-middle")
+  );
+}
+
+function renderComparison() {
+  compareBodyEl.hidden = !compareRun;
+  if (!compareRun) return;
+  const step = getSteps()[currentStep];
+  const { settings } = compareRun;
+
+  const exampleB = backwardPass(compareModel(), forwardPass(compareModel(), cache.inputVector, cache.targets));
+  const updateA = step.kind === "update" ? lastUpdate || previewUpdate() : null;
+  const updateB = step.kind === "update" ? (lastUpdate && compareRun.lastUpdate) || previewComparisonUpdate() : null;
+  const pairsA = comparisonValues(step, cache, updateA, getLayerSizes());
+  const pairsB = comparisonValues(step, exampleB, updateB, compareRun.layerSizes);
+
+  const hiddenText = (sizes) => sizes.slice(1, -1).join("-") || "none";
+  compareATitleEl.textContent =
+    `Run A · α ${lrSlider.value}, ${currentOptimizer().label}, ${currentSchedule().label.toLowerCase()}, ` +
+    `hidden ${hiddenText(getLayerSizes())}`;
+  compareBTitleEl.textContent =
+    `Run B · α ${settings.learningRate}, ${OPTIMIZERS[settings.optimizer].label}, ` +
+    `${LR_SCHEDULES[settings.schedule].label.toLowerCase()}, hidden ${hiddenText(compareRun.layerSizes)}`;
+
+  renderValues(pairsA, [], compareAValuesEl);
+  renderValues(pairsB, [], compareBValuesEl);
+
+  // Mark what differs between the runs, and what only one of them has
+  const valuesA = new Map(pairsA);
+  const valuesB = new Map(pairsB);
+  [
+    [compareAValuesEl, valuesB],
+    [compareBValuesEl, valuesA],
+  ].forEach(([container, other]) => {
+    container.querySelectorAll(".value-card").forEach((card) => {
+      const label = card.querySelector(".label").textContent;
+      if (!other.has(label)) {
+        card.classList.add("compare-only");
+        return;
+      }
+      const difference = Math.abs(Number(card.dataset.value) - other.get(label));
+      if (difference > COMPARE_TOLERANCE) {
+        card.classList.add("compare-diff");
+        setCardDetail(card, `other run ${fmt(other.get(label))} (Δ ${fmtSmall(Number(card.dataset.value) - other.get(label))})`);
+      }
+    });
+  });
+
+  drawCompareDiagram(compareADiagram, getLayerSizes(), params, cache);
+  drawCompareDiagram(compareBDiagram, compareRun.layerSizes, compareRun.params, exampleB);
+  drawCompareChart();
+
+  // Loss of both runs right now, on what the next update learns from
+  const examples = updateExamples();
+  const lossA = averageLoss(examples);
+  const lossB = meanLoss(compareModel(), examples);
+  compareSummaryEl.textContent =
+    (settings.error ? `${settings.error} ` : "") +
+    (compareRun.iteration === 0
+      ? "Both runs start from the same weights. Step through the walkthrough or train to move them together."
+      : `${compareRun.iteration} ${compareRun.iteration === 1 ? "update" : "updates"} so far · ` +
+        `loss now: run A ${fmt(lossA)}, run B ${fmt(lossB)}` +
+        (Math.abs(lossA - lossB) > COMPARE_TOLERANCE ? ` (run ${lossA < lossB ? "A" : "B"} is lower)` : ""));
+}
+
+// Auto-training
+// Runs forward → backward → update over and over. The number of
+// iterations per frame follows the speed slider, capped by a time budget
+// so the page stays responsive; the display is refreshed once per frame
+// through requestRender.
+const TRAINING_FRAME_BUDGET_MS = 12;
+
+let trainingFrame = null;
+let trainingLastTime = null;
+let trainingBacklog = 0;       // iterations owed to the speed slider, carried between frames
+let trainingRemaining = 0;     // iterations left in this run (Infinity while playing)
+let trainingStats = { iteration: 0, examplesSeen: 0, loss: null };
+
+function trainingSpeed() {
+  return Math.round(Math.pow(10, parseFloat(trainSpeedSlider.value))); // iterations per second
+}
+
+// One training iteration on the current example or batch.
+function trainOnce() {
+  computeForward();
+  computeBackward();
+  const batch = cache.batch;
+  const learningRate = currentLearningRate();
+  recordIteration(batch ? batch.size : 1, batch ? batch.loss : cache.loss);
+  const before = flattenParams(params);
+  stepComparison(batch ? batch.loss : cache.loss);
+  applyOptimizerStep(learningRate);
+  recordLandscapeStep(before);
+  if (batch && batchModeSelect.value === "minibatch") drawMiniBatch();
+}
+
+// Count one update (from auto-training or the walkthrough's "Apply update")
+// and log the loss it started from. Called just before params change.
+function recordIteration(examplesUsed, loss) {
+  trainingStats.iteration += 1;
+  trainingStats.examplesSeen += examplesUsed;
+  trainingStats.loss = loss;
+  recordLoss(trainingStats.iteration, loss);
+}
+
+function trainingTick(now) {
+  trainingFrame = null;
+  const elapsed = trainingLastTime == null ? 1000 / 60 : Math.min(now - trainingLastTime, 100);
+  trainingLastTime = now;
+  trainingBacklog += (elapsed / 1000) * trainingSpeed();
+
+  const deadline = performance.now() + TRAINING_FRAME_BUDGET_MS;
+  while (trainingBacklog >= 1 && trainingRemaining > 0) {
+    trainOnce();
+    trainingBacklog -= 1;
+    trainingRemaining -= 1;
+    if (performance.now() > deadline) {
+      // Can't keep up with the requested speed: drop the backlog
+      // instead of letting it pile up.
+      trainingBacklog = 0;
+      break;
+    }
+  }
+
+  requestRender();
+  if (trainingRemaining > 0) {
+    trainingFrame = requestAnimationFrame(trainingTick);
+  } else {
+    stopTraining();
+  }
+}
+
+function startTraining(iterations) {
+  trainingRemaining = iterations;
+  if (trainingFrame != null) return;
+  // The walkthrough shows the latest forward pass while training runs
+  if (getSteps()[currentStep].kind === "update") currentStep = 0;
+  // The whole run can be undone in one go
+  pushParamHistory();
+  lastUpdate = null;
+  trainingLastTime = null;
+  trainingBacklog = 1; // start with an iteration right away
+  trainingFrame = requestAnimationFrame(trainingTick);
+  updateTrainingControls();
+}
+
+function stopTraining() {
+  if (trainingFrame != null) cancelAnimationFrame(trainingFrame);
+  trainingFrame = null;
+  trainingRemaining = 0;
+  updateTrainingControls();
+  requestRender();
+}
+
+function isTraining() {
+  return trainingFrame != null;
+}
+
+// Starts a fresh run: counters and the loss chart both go back to zero.
+function resetTrainingStats() {
+  trainingStats = { iteration: 0, examplesSeen: 0, loss: null };
+  resetLossHistory();
+  resetLandscapePath();
+  restartComparison();
+  renderTrainingStatus();
+}
+
+function updateTrainingControls() {
+  btnPlay.disabled = isTraining();
+  btnPause.disabled = !isTraining();
+  updateHistoryControls();
+}
+
+function renderTrainingStatus() {
+  const examplesPerEpoch = isDatasetMode() ? Math.max(1, trainingIndices().length) : 1;
+  const epoch = trainingStats.examplesSeen / examplesPerEpoch;
+  trainSpeedVal.textContent = `${trainingSpeed()} it/s`;
+  trainStatusEl.textContent =
+    `Iteration ${trainingStats.iteration} · epoch ${epoch.toFixed(2)} · loss ` +
+    (trainingStats.loss == null ? "—" : fmt(trainingStats.loss));
+  lrScheduleNoteEl.textContent =
+    currentSchedule() === LR_SCHEDULES.constant
+      ? currentSchedule().note
+      : `${currentSchedule().formula}. Effective α for update ${trainingStats.iteration + 1}: ` +
+        `${fmtSmall(currentLearningRate())}. ${currentSchedule().note}`;
+}
+
+// Loss chart
+// Every update adds one point: the training loss it was computed from
+// and, when points are held out, the validation loss at the same
+// moment. Long runs are thinned out by doubling the recording stride
+// whenever the history gets too long, so drawing stays cheap.
+const MAX_LOSS_HISTORY = 600;
+const LOSS_CHART_WIDTH = 360;
+const LOSS_CHART_HEIGHT = 180;
+const LOSS_CHART_MARGIN = { left: 44, right: 10, top: 10, bottom: 24 };
+const LOG_SCALE_FLOOR = 1e-8;
+
+let lossHistory = []; // { iteration, train, validation }
+let lossHistoryStride = 1;
+
+function recordLoss(iteration, trainLoss) {
+  if (iteration % lossHistoryStride !== 0) return;
+  const validation = validationExamples();
+  lossHistory.push({
+    iteration,
+    train: trainLoss,
+    validation: validation.length > 0 ? averageLoss(validation) : null,
+  });
+
+  if (lossHistory.length > MAX_LOSS_HISTORY) {
+    lossHistoryStride *= 2;
+    lossHistory = lossHistory.filter((entry) => entry.iteration % lossHistoryStride === 0);
+  }
+}
+
+function resetLossHistory() {
+  lossHistory = [];
+  lossHistoryStride = 1;
+}
+
+// Exponential moving average, like the smoothing slider in TensorBoard
+function smoothSeries(values, smoothing) {
+  let last = null;
+  return values.map((value) => {
+    last = last == null ? value : smoothing * last + (1 - smoothing) * value;
+    return last;
+  });
+}
+
+function drawLossChart() {
+  lossChartSvg.innerHTML = "";
+  const logScale = lossLogScaleCheckbox.checked;
+  const smoothing = parseFloat(lossSmoothingSlider.value);
+  lossSmoothingVal.textContent = smoothing.toFixed(2);
+
+  const { left, right, top, bottom } = LOSS_CHART_MARGIN;
+  const plotWidth = LOSS_CHART_WIDTH - left - right;
+  const plotHeight = LOSS_CHART_HEIGHT - top - bottom;
+
+  const frame = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  frame.setAttribute("x", left);
+  frame.setAttribute("y", top);
+  frame.setAttribute("width", plotWidth);
+  frame.setAttribute("height", plotHeight);
+  frame.setAttribute("class", "plot-frame");
+  lossChartSvg.appendChild(frame);
+
+  if (lossHistory.length === 0) {
+    lossChartSvg.appendChild(
+      createText(left + plotWidth / 2, top + plotHeight / 2, "No updates yet", "chart-empty-text")
+    );
+    lossChartSummaryEl.textContent = "";
+    return;
+  }
+
+  const transform = (loss) => (logScale ? Math.log10(Math.max(loss, LOG_SCALE_FLOOR)) : loss);
+  const series = [
+    { key: "train", cls: "chart-line-train" },
+    { key: "validation", cls: "chart-line-validation" },
+  ]
+    .map((entry) => ({
+      ...entry,
+      points: lossHistory.filter((point) => point[entry.key] != null),
+    }))
+    .filter((entry) => entry.points.length > 0);
+
+  const allValues = [];
+  series.forEach((entry) => entry.points.forEach((point) => allValues.push(transform(point[entry.key]))));
+  let minValue = Math.min(...allValues);
+  let maxValue = Math.max(...allValues);
+  if (!logScale) minValue = Math.min(0, minValue);
+  if (maxValue - minValue < 1e-12) maxValue = minValue + 1;
+
+  const firstIteration = lossHistory[0].iteration;
+  const lastIteration = Math.max(lossHistory[lossHistory.length - 1].iteration, firstIteration + 1);
+  const toX = (iteration) => left + ((iteration - firstIteration) / (lastIteration - firstIteration)) * plotWidth;
+  const toY = (value) => top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  series.forEach((entry) => {
+    const raw = entry.points.map((point) => transform(point[entry.key]));
+    const smoothed = smoothSeries(raw, smoothing);
+    const toPoints = (values) =>
+      values.map((value, i) => `${fmt(toX(entry.points[i].iteration), 1)},${fmt(toY(value), 1)}`).join(" ");
+
+    if (smoothing > 0) {
+      const rawLine = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+      rawLine.setAttribute("points", toPoints(raw));
+      rawLine.setAttribute("class", `chart-line ${entry.cls} chart-line-raw`);
+      lossChartSvg.appendChild(rawLine);
+    }
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+    line.setAttribute("points", toPoints(smoothed));
+    line.setAttribute("class", `chart-line ${entry.cls}`);
+    lossChartSvg.appendChild(line);
+  });
+
+  // Axis labels: loss range on the left, iteration range below
+  const axisLabel = (value) => (logScale ? Math.pow(10, value).toExponential(1) : fmt(value, 3));
+  lossChartSvg.appendChild(createText(left - 4, top + 8, axisLabel(maxValue), "chart-axis-text chart-axis-y"));
+  lossChartSvg.appendChild(createText(left - 4, top + plotHeight, axisLabel(minValue), "chart-axis-text chart-axis-y"));
+  lossChartSvg.appendChild(createText(left, LOSS_CHART_HEIGHT - 6, String(firstIteration), "chart-axis-text"));
+  lossChartSvg.appendChild(
+    createText(left + plotWidth, LOSS_CHART_HEIGHT - 6, String(lastIteration), "chart-axis-text chart-axis-end")
+  );
+  lossChartSvg.appendChild(
+    createText(left + plotWidth / 2, LOSS_CHART_HEIGHT - 6, "iteration", "chart-axis-text chart-axis-middle")
+  );
+
+  const latest = lossHistory[lossHistory.length - 1];
+  lossChartSummaryEl.textContent =
+    `train ${fmt(latest.train)}` + (latest.validation != null ? ` · validation ${fmt(latest.validation)}` : "");
+}
+
+// Learning-rate finder
+// A range test: from the weights as they are when it starts, a copy of
+// the network trains for LR_FINDER_STEPS full-batch steps at each α on a
+// log scale, with the current optimizer and weight decay. Each run gets
+// one point of final loss against α; a good α sits just before the loss
+// turns back up. Runs are spread over frames so the page stays usable.
+const LR_FINDER_MIN_RATE = 1e-3;
+const LR_FINDER_MAX_RATE = 10;
+const LR_FINDER_RATES = 17;
+const LR_FINDER_STEPS = 50;
+
+let lrFinder = { rates: [], results: [], frame: null, job: null };
+
+function lrFinderRates() {
+  const logMin = Math.log10(LR_FINDER_MIN_RATE);
+  const logMax = Math.log10(LR_FINDER_MAX_RATE);
+  return Array.from({ length: LR_FINDER_RATES }, (_, index) =>
+    Math.pow(10, logMin + ((logMax - logMin) * index) / (LR_FINDER_RATES - 1))
+  );
+}
+
+function startLrFinder() {
+  if (lrFinder.frame != null) return;
+  lrFinder = {
+    rates: lrFinderRates(),
+    results: [],
+    frame: null,
+    job: {
+      model: { ...currentModel(), params: cloneParams(params) },
+      examples: isDatasetMode() ? trainingIndices().map((index) => pointExample(dataset[index])) : [currentExample()],
+      settings: { optimizer: currentOptimizerKey(), weightDecay: parseFloat(weightDecaySlider.value), steps: LR_FINDER_STEPS },
+    },
+  };
+  btnLrFinder.disabled = true;
+  lrFinder.frame = requestAnimationFrame(lrFinderTick);
+}
+
+function lrFinderTick() {
+  const deadline = performance.now() + TRAINING_FRAME_BUDGET_MS;
+  const { model, examples, settings } = lrFinder.job;
+  while (lrFinder.results.length < lrFinder.rates.length && performance.now() < deadline) {
+    const learningRate = lrFinder.rates[lrFinder.results.length];
+    lrFinder.results.push({ learningRate, loss: lossAfterTraining(model, examples, { ...settings, learningRate }) });
+  }
+
+  if (lrFinder.results.length < lrFinder.rates.length) {
+    lrFinder.frame = requestAnimationFrame(lrFinderTick);
+  } else {
+    lrFinder.frame = null;
+    btnLrFinder.disabled = false;
+  }
+  drawLrFinder();
+}
+
+// Sweep rates are round only on the log scale: 0.0018, 0.56, 10
+function fmtRate(rate) {
+  return String(Number(rate.toPrecision(2)));
+}
+
+// The α with the lowest final loss, or null before any run finished
+function suggestedLearningRate() {
+  let best = null;
+  lrFinder.results.forEach((result) => {
+    if (Number.isFinite(result.loss) && (best == null || result.loss < best.loss)) best = result;
+  });
+  return best;
+}
+
+function drawLrFinder() {
+  lrFinderSvg.innerHTML = "";
+  const { left, right, top, bottom } = LOSS_CHART_MARGIN;
+  const plotWidth = LOSS_CHART_WIDTH - left - right;
+  const plotHeight = LOSS_CHART_HEIGHT - top - bottom;
+
+  const frame = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  frame.setAttribute("x", left);
+  frame.setAttribute("y", top);
+  frame.setAttribute("width", plotWidth);
+  frame.setAttribute("height", plotHeight);
+  frame.setAttribute("class", "plot-frame");
+  lrFinderSvg.appendChild(frame);
+
+  const best = suggestedLearningRate();
+  btnUseLr.disabled = best == null || lrFinder.frame != null;
+  if (lrFinder.results.length === 0) {
+    lrFinderSvg.appendChild(
+      createText(left + plotWidth / 2, top + plotHeight / 2, "Run a sweep to compare rates", "chart-empty-text")
+    );
+    lrFinderSummaryEl.textContent = "";
+    return;
+  }
+
+  // Log scale on both axes; runs that blew up sit on the top edge
+  const logMin = Math.log10(LR_FINDER_MIN_RATE);
+  const logMax = Math.log10(LR_FINDER_MAX_RATE);
+  const toX = (rate) => left + ((Math.log10(rate) - logMin) / (logMax - logMin)) * plotWidth;
+  const finite = lrFinder.results.filter((result) => Number.isFinite(result.loss));
+  const values = finite.map((result) => Math.log10(Math.max(result.loss, LOG_SCALE_FLOOR)));
+  let minValue = values.length > 0 ? Math.min(...values) : 0;
+  let maxValue = values.length > 0 ? Math.max(...values) : 1;
+  if (maxValue - minValue < 1e-12) maxValue = minValue + 1;
+  const toY = (loss) =>
+    top + (1 - (Math.log10(Math.max(loss, LOG_SCALE_FLOOR)) - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const learningRate = parseFloat(lrSlider.value);
+  const current = document.createElementNS("http://www.w3.org/2000/svg", "line");
+  current.setAttribute("x1", fmt(toX(learningRate), 1));
+  current.setAttribute("x2", fmt(toX(learningRate), 1));
+  current.setAttribute("y1", top);
+  current.setAttribute("y2", top + plotHeight);
+  current.setAttribute("class", "lr-finder-current");
+  lrFinderSvg.appendChild(current);
+
+  const line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+  line.setAttribute(
+    "points",
+    finite.map((result) => `${fmt(toX(result.learningRate), 1)},${fmt(toY(result.loss), 1)}`).join(" ")
+  );
+  line.setAttribute("class", "chart-line chart-line-train");
+  lrFinderSvg.appendChild(line);
+
+  lrFinder.results.forEach((result) => {
+    const x = toX(result.learningRate);
+    if (!Number.isFinite(result.loss)) {
+      const cross = document.createElementNS("http://www.w3.org/2000/svg", "path");
+      cross.setAttribute("d", `M${fmt(x - 3, 1)},${top + 1} l6,6 m0,-6 l-6,6`);
+      cross.setAttribute("class", "lr-finder-diverged");
+      setSvgTitle(cross, `α = ${fmtRate(result.learningRate)}: loss blew up`);
+      lrFinderSvg.appendChild(cross);
+      return;
+    }
+    const dot = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+    dot.setAttribute("cx", fmt(x, 1));
+    dot.setAttribute("cy", fmt(toY(result.loss), 1));
+    dot.setAttribute("r", result === best ? 4 : 2.5);
+    dot.setAttribute("class", result === best ? "lr-finder-best" : "lr-finder-point");
+    setSvgTitle(dot, `α = ${fmtRate(result.learningRate)}: loss ${fmtSmall(result.loss)} after ${LR_FINDER_STEPS} steps`);
+    lrFinderSvg.appendChild(dot);
+  });
+
+  const axisLabel = (value) => Math.pow(10, value).toExponential(1);
+  lrFinderSvg.appendChild(createText(left - 4, top + 8, axisLabel(maxValue), "chart-axis-text chart-axis-y"));
+  lrFinderSvg.appendChild(createText(left - 4, top + plotHeight, axisLabel(minValue), "chart-axis-text chart-axis-y"));
+  lrFinderSvg.appendChild(createText(left, LOSS_CHART_HEIGHT - 6, String(LR_FINDER_MIN_RATE), "chart-axis-text"));
+  lrFinderSvg.appendChild(
+    createText(left + plotWidth, LOSS_CHART_HEIGHT - 6, String(LR_FINDER_MAX_RATE), "chart-axis-text chart-axis-end")
+  );
+  lrFinderSvg.appendChild(
+    createText(left + plotWidth / 2, LOSS_CHART_HEIGHT - 6, "α (log scale)", "chart-axis-text chart-axis-middle")
+  );
+
+  const diverged = lrFinder.results.find((result) => !Number.isFinite(result.loss));
+  lrFinderSummaryEl.textContent =
+    lrFinder.frame != null
+      ? `${lrFinder.results.length} / ${lrFinder.rates.length} rates`
+      : (best ? `lowest loss ${fmtSmall(best.loss)} at α ≈ ${fmtRate(best.learningRate)}` : "every rate blew up") +
+        (diverged ? ` · blows up from α ≈ ${fmtRate(diverged.learningRate)}` : "");
+}
+
+// The slider only covers part of the sweep, so the suggestion is clamped to it
+function useSuggestedLearningRate() {
+  const best = suggestedLearningRate();
+  if (!best) return;
+  const min = parseFloat(lrSlider.min);
+  const max = parseFloat(lrSlider.max);
+  lrSlider.value = Math.min(max, Math.max(min, best.learningRate)).toFixed(2);
+  lrVal.textContent = parseFloat(lrSlider.value).toFixed(2);
+  drawLrFinder();
+  requestRender();
+}
+
+// Steps of the walkthrough: forward pass, loss, one backward step per
+// layer (output first, then each hidden layer back towards the inputs),
+// and finally the weight update.
+function getSteps() {
+  const steps = [
+    { kind: "forward", label: "Forward pass (compute outputs)" },
+    { kind: "loss", label: "Loss (compare prediction to target)" },
+  ];
+  for (let layerIndex = getLayerCount() - 1; layerIndex >= 0; layerIndex--) {
+    steps.push({
+      kind: "backward",
+      layerIndex,
+      label: isOutputLayer(layerIndex)
+        ? "Gradients at the output"
+        : `Gradients for ${layerSymbols(layerIndex).name}`,
+    });
+  }
+  steps.push({ kind: "update", label: "Update weights with gradient descent" });
+  return steps;
+}
+
+function renderStepList() {
+  stepsListEl.innerHTML = "";
+  stepItems = getSteps().map((step, idx) => {
+    const item = document.createElement("li");
+    item.className = "step-item";
+    item.dataset.step = String(idx);
+    item.textContent = `${idx + 1}. ${step.label}`;
+    stepsListEl.appendChild(item);
+    return item;
+  });
+}
+
+// SVG drawing
+// columns[0] holds the inputs, columns[l + 1] the neurons of layer l.
+// biasNodes[l] is the constant-1 bias node feeding layer l.
+const layout = {
+  columns: [],
+  biasNodes: [],
+};
+
+function nodeId(layerIndex, neuronIndex) {
+  if (isOutputLayer(layerIndex)) return architecture.outputCount > 1 ? `y${neuronIndex + 1}` : "y";
+  return `h${layerIndex + 1}-${neuronIndex + 1}`;
+}
+
+function columnX(columnIndex) {
+  const columnCount = getLayerCount() + 1;
+  return 80 + (400 * columnIndex) / (columnCount - 1);
+}
+
+// Evenly spread nodes over [top, bottom], or centred when there is one
+function columnNodes(count, x, top, bottom, id) {
+  if (count === 1) return [{ id: id(0), x, y: 150 }];
+  const gap = (bottom - top) / (count - 1);
+  return Array.from({ length: count }, (_, index) => ({ id: id(index), x, y: top + gap * index }));
+}
+
+function updateLayout() {
+  const layerSizes = getLayerSizes();
+  // Five or six inputs need a little more room than the hidden layers
+  const [inputTop, inputBottom] = layerSizes[0] > 4 ? [40, 260] : [80, 220];
+  const columns = [columnNodes(layerSizes[0], columnX(0), inputTop, inputBottom, (inputIndex) => `x${inputIndex + 1}`)];
+
+  for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+    columns.push(
+      columnNodes(layerSizes[layerIndex + 1], columnX(layerIndex + 1), 60, 240, (neuronIndex) =>
+        nodeId(layerIndex, neuronIndex)
+      )
+    );
+  }
+  layout.columns = columns;
+
+  // Bias nodes sit above and slightly left of the layer they feed
+  const biasOffset = Math.min(70, (columnX(1) - columnX(0)) * 0.35);
+  layout.biasNodes = columns.slice(1).map((nodes, layerIndex) => ({
+    id: `b${layerIndex + 1}`,
+    x: nodes[0].x - biasOffset,
+    y: 40,
+  }));
+}
+
+function clearSvg() {
+  while (svg.firstChild) svg.removeChild(svg.firstChild);
+}
+
+function createLine(x1, y1, x2, y2, cls) {
+  const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+  line.setAttribute("x1", x1);
+  line.setAttribute("y1", y1);
+  line.setAttribute("x2", x2);
+  line.setAttribute("y2", y2);
+  line.setAttribute("class", cls);
+  return line;
+}
+
+function createCircle(x, y, r, cls) {
+  const c = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+  c.setAttribute("cx", x);
+  c.setAttribute("cy", y);
+  c.setAttribute("r", r);
+  c.setAttribute("class", cls);
+  return c;
+}
+
+// A connection line plus a wider invisible copy on top, so thin lines
+// are still easy to hover and click. Hover titles go on the group.
+function createConnection(x1, y1, x2, y2, cls) {
+  const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
+  group.setAttribute("class", "conn-group");
+  const line = createLine(x1, y1, x2, y2, cls);
+  group.appendChild(line);
+  group.appendChild(createLine(x1, y1, x2, y2, "conn-hit"));
+  return { group, line };
+}
+
+function createText(x, y, text, cls) {
+  const t = document.createElementNS("http://www.w3.org/2000/svg", "text");
+  t.setAttribute("x", x);
+  t.setAttribute("y", y);
+  t.setAttribute("class", cls);
+  t.textContent = text;
+  return t;
+}
+
+function drawNetwork() {
+  clearSvg();
+  // Node ids may not survive a redraw, so any open detail card closes
+  // and a running flow animation starts over
+  inspected = null;
+  stopFlowAnimation();
+
+  svg.innerHTML = `
+    <defs>
+      <style>
+        .conn { stroke: rgba(148, 163, 184, 0.8); stroke-width: 2; }
+        .conn-gradient { stroke: #a855f7; stroke-width: 3; }
+        .conn-bias { stroke: #38bdf8; stroke-width: 1.6; stroke-dasharray: 4 3; }
+        .neuron { fill: #020617; stroke-width: 2; }
+        .neuron-input { stroke: #22c55e; }
+        .neuron-hidden { stroke: #eab308; }
+        .neuron-output { stroke: #f97316; }
+        .neuron-bias { stroke: #38bdf8; }
+        .neuron-highlight { filter: drop-shadow(0 0 4px rgba(129, 140, 248, 0.9)); }
+        .conn-hit { stroke: transparent; stroke-width: 10; cursor: pointer; }
+        .conn-path { stroke: #facc15 !important; stroke-opacity: 1 !important; }
+        .neuron { cursor: pointer; }
+        .neuron.neuron-path { stroke: #facc15; stroke-width: 3; }
+        .neuron.neuron-warning { stroke: #fb7185; stroke-width: 3; stroke-dasharray: 5 3; }
+        .flow-layer { pointer-events: none; }
+        .flow-pulse { stroke: #020617; stroke-width: 1; }
+        .flow-pulse.flow-forward { fill: #facc15; }
+        .flow-pulse.flow-backward { fill: #a855f7; }
+        .flow-label { fill: #f9fafb; font-size: 9px; text-anchor: middle; paint-order: stroke; stroke: #020617; stroke-width: 3px; }
+        .flow-node-label { font-size: 10px; text-anchor: middle; paint-order: stroke; stroke: #020617; stroke-width: 3px; }
+        .flow-node-label.flow-forward { fill: #facc15; }
+        .flow-node-label.flow-backward { fill: #d8b4fe; }
+        .neuron-text { fill: #f9fafb; font-size: 12px; text-anchor: middle; dominant-baseline: middle; pointer-events: none; paint-order: stroke; stroke: #020617; stroke-width: 2.5px; }
+        .label-text { fill: #9ca3af; font-size: 11px; text-anchor: middle; }
+      </style>
+    </defs>
+  `;
+
+  const { columns, biasNodes } = layout;
+
+  // Connections between consecutive columns
+  for (let columnIndex = 1; columnIndex < columns.length; columnIndex++) {
+    columns[columnIndex - 1].forEach((fromNode, inputIndex) => {
+      columns[columnIndex].forEach((toNode, neuronIndex) => {
+        const { group, line } = createConnection(fromNode.x + 22, fromNode.y, toNode.x - 22, toNode.y, "conn");
+        line.dataset.from = fromNode.id;
+        line.dataset.to = toNode.id;
+        line.dataset.layer = String(columnIndex - 1);
+        line.dataset.neuron = String(neuronIndex);
+        line.dataset.input = String(inputIndex);
+        svg.appendChild(group);
+      });
+    });
+  }
+
+  // Bias nodes (constant 1 going into every neuron of the next layer)
+  biasNodes.forEach((biasNode, layerIndex) => {
+    const c = createCircle(biasNode.x, biasNode.y, 10, "neuron neuron-bias");
+    c.dataset.id = biasNode.id;
+    svg.appendChild(c);
+    svg.appendChild(createText(biasNode.x, biasNode.y, "1", "neuron-text"));
+
+    columns[layerIndex + 1].forEach((toNode, neuronIndex) => {
+      const { group, line } = createConnection(biasNode.x + 14, biasNode.y, toNode.x - 22, toNode.y, "conn-bias");
+      line.dataset.from = biasNode.id;
+      line.dataset.to = toNode.id;
+      line.dataset.layer = String(layerIndex);
+      line.dataset.neuron = String(neuronIndex);
+      line.dataset.input = "bias";
+      svg.appendChild(group);
+    });
+  });
+
+  // Neurons
+  columns[0].forEach((node) => {
+    const c = createCircle(node.x, node.y, 18, "neuron neuron-input");
+    c.dataset.id = node.id;
+    svg.appendChild(c);
+    svg.appendChild(createText(node.x, node.y, node.id.toUpperCase(), "neuron-text"));
+  });
+
+  for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+    const output = isOutputLayer(layerIndex);
+    columns[layerIndex + 1].forEach((node, neuronIndex) => {
+      const c = createCircle(node.x, node.y, output ? 20 : 18, output ? "neuron neuron-output" : "neuron neuron-hidden");
+      c.dataset.id = node.id;
+      svg.appendChild(c);
+      const text = output
+        ? `ŷ${architecture.outputCount > 1 ? subscript(neuronIndex + 1) : ""}`
+        : `H${neuronIndex + 1}`;
+      svg.appendChild(createText(node.x, node.y, text, "neuron-text"));
+    });
+  }
+
+  // Labels for layers
+  columns.forEach((nodes, columnIndex) => {
+    let label = "Input layer";
+    if (columnIndex > 0) {
+      const layerIndex = columnIndex - 1;
+      label = isOutputLayer(layerIndex)
+        ? "Output layer"
+        : architecture.hiddenLayerSizes.length > 1
+          ? `Hidden ${layerIndex + 1}`
+          : "Hidden layer";
+    }
+    svg.appendChild(createText(columnX(columnIndex), 300, label, "label-text"));
+  });
+}
+
+function highlightForStep(step) {
+  // Reset all lines & neurons
+  Array.from(svg.querySelectorAll(".conn")).forEach((line) => {
+    line.setAttribute("class", "conn");
+  });
+  Array.from(svg.querySelectorAll(".neuron")).forEach((n) => {
+    n.classList.remove("neuron-highlight");
+  });
+
+  const setConnGradient = (from, to) => {
+    Array.from(svg.querySelectorAll("line")).forEach((line) => {
+      if (line.dataset.from === from && line.dataset.to === to) {
+        line.setAttribute("class", "conn conn-gradient");
+      }
+    });
+  };
+
+  const highlightNeuron = (id) => {
+    Array.from(svg.querySelectorAll(".neuron")).forEach((n) => {
+      if (n.dataset.id === id) n.classList.add("neuron-highlight");
+    });
+  };
+
+  const highlightAll = () => {
+    layout.columns.forEach((nodes) => nodes.forEach((node) => highlightNeuron(node.id)));
+  };
+
+  if (step.kind === "forward") {
+    // Forward pass: highlight all neurons
+    highlightAll();
+  } else if (step.kind === "loss") {
+    // Loss: just the output
+    layout.columns[layout.columns.length - 1].forEach((node) => highlightNeuron(node.id));
+  } else if (step.kind === "backward") {
+    // Gradients for one layer: highlight it, the layer feeding it,
+    // and the connections in between
+    const fromNodes = layout.columns[step.layerIndex];
+    const toNodes = layout.columns[step.layerIndex + 1];
+    fromNodes.forEach((node) => highlightNeuron(node.id));
+    toNodes.forEach((toNode) => {
+      highlightNeuron(toNode.id);
+      fromNodes.forEach((fromNode) => setConnGradient(fromNode.id, toNode.id));
+    });
+  } else if (step.kind === "update") {
+    // Weight update: highlight everything again
+    highlightAll();
+  }
+
+  encodeNetworkValues(step);
+}
+
+// Weight & gradient encoding on the diagram
+// Line width follows |w|, or |dL/dw| during the backward steps, scaled to
+// the largest value in the network so that small networks stay readable.
+const WEIGHT_COLOR_POSITIVE = "#f97316";
+const WEIGHT_COLOR_NEGATIVE = "#38bdf8";
+const GRADIENT_COLOR = "#a855f7";
+
+function lineParameter(line, weightValues, biasValues) {
+  const layerIndex = Number(line.dataset.layer);
+  const neuronIndex = Number(line.dataset.neuron);
+  return line.dataset.input === "bias"
+    ? biasValues[layerIndex][neuronIndex]
+    : weightValues[layerIndex][neuronIndex][Number(line.dataset.input)];
+}
+
+function maxAbsParameter(weightValues, biasValues) {
+  let max = 0;
+  weightValues.forEach((layer, layerIndex) => {
+    layer.forEach((row, neuronIndex) => {
+      row.forEach((value) => {
+        max = Math.max(max, Math.abs(value));
+      });
+      max = Math.max(max, Math.abs(biasValues[layerIndex][neuronIndex]));
+    });
+  });
+  return max;
+}
+
+function setSvgTitle(element, text) {
+  let title = element.querySelector("title");
+  if (!title) {
+    title = document.createElementNS("http://www.w3.org/2000/svg", "title");
+    element.appendChild(title);
+  }
+  title.textContent = text;
+}
+
+function encodeNetworkValues(step) {
+  // Edge tooltips show the optimizer step the update panel shows: the one
+  // just applied, or else the one "Apply update" would take
+  const update = lastUpdate || previewUpdate();
+  const deltaLabel = lastUpdate ? "last update" : "next update";
+  const { gradLossWrtWeights, gradLossWrtBiases } = cache.batch || cache;
+  const showGradients = step.kind === "backward";
+  const maxWeight = maxAbsParameter(params.weights, params.biases);
+  const maxGradient = maxAbsParameter(gradLossWrtWeights, gradLossWrtBiases);
+  const batchLabel = cache.batch ? ` (batch mean of ${cache.batch.size})` : "";
+
+  Array.from(svg.querySelectorAll(".conn, .conn-bias")).forEach((line) => {
+    const layerIndex = Number(line.dataset.layer);
+    const neuronIndex = Number(line.dataset.neuron);
+    const weight = lineParameter(line, params.weights, params.biases);
+    const gradient = lineParameter(line, gradLossWrtWeights, gradLossWrtBiases);
+    // Backprop walks from the output down, so layers below the current
+    // backward step have not received their gradient yet.
+    const reached = showGradients && layerIndex >= step.layerIndex;
+
+    let strength;
+    if (reached) {
+      strength = maxGradient > 0 ? Math.abs(gradient) / maxGradient : 0;
+      line.style.stroke = GRADIENT_COLOR;
+      line.style.strokeOpacity = layerIndex === step.layerIndex ? 0.45 + 0.55 * strength : 0.2 + 0.3 * strength;
+    } else {
+      strength = maxWeight > 0 ? Math.abs(weight) / maxWeight : 0;
+      line.style.stroke = weight >= 0 ? WEIGHT_COLOR_POSITIVE : WEIGHT_COLOR_NEGATIVE;
+      line.style.strokeOpacity = showGradients ? 0.2 : 0.35 + 0.65 * strength;
+    }
+    line.style.strokeWidth = (0.75 + 4.25 * strength).toFixed(2);
+
+    const isBias = line.dataset.input === "bias";
+    const name = isBias
+      ? biasRef(layerIndex, neuronIndex + 1)
+      : weightRef(layerIndex, neuronIndex + 1, Number(line.dataset.input) + 1);
+    const letter = isBias ? "b" : "w";
+    const parameterStep = lineParameter(line, update.steps.weights, update.steps.biases);
+    // Biases are not decayed, so their g is the plain gradient
+    const decayed = update.decay > 0 && !isBias;
+    const deltaFormula = decayed ? update.optimizer.delta : update.optimizer.delta.replace(/\bg\b/g, `dL/d${letter}`);
+    setSvgTitle(
+      line.parentNode,
+      [
+        `${name} = ${fmt(weight)}`,
+        `dL/d${letter}${batchLabel} = ${fmt(gradient)}`,
+        ...(decayed ? [`g = dL/dw + λ · w = ${fmt(parameterStep.gradient)}   (${deltaLabel})`] : []),
+        `Δ${letter} = ${deltaFormula} = ${fmt(parameterStep.delta)}   (${deltaLabel})`,
+      ].join("\n")
+    );
+  });
+
+  // Neuron fills use the same blue → orange scale as the output map
+  layout.columns[0].forEach((node, inputIndex) => {
+    const circle = svg.querySelector(`.neuron[data-id="${node.id}"]`);
+    const value = cache.inputVector[inputIndex];
+    const [r, g, b] = mapColor((value + 1) / 2);
+    circle.style.fill = `rgb(${r}, ${g}, ${b})`;
+    setSvgTitle(circle, `x${inputIndex + 1} = ${fmt(value)}`);
+  });
+
+  for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+    const activations = cache.layerActivations[layerIndex];
+    const [low, high] = mapRange(activationOf(layerIndex), activations);
+    const sym = layerSymbols(layerIndex);
+    layout.columns[layerIndex + 1].forEach((node, neuronIndex) => {
+      const circle = svg.querySelector(`.neuron[data-id="${node.id}"]`);
+      const value = activations[neuronIndex];
+      const [r, g, b] = mapColor((value - low) / (high - low));
+      circle.style.fill = `rgb(${r}, ${g}, ${b})`;
+      const label = isOutputLayer(layerIndex) ? "" : `[${neuronIndex + 1}]`;
+      setSvgTitle(
+        circle,
+        `${neuronTitle(layerIndex, neuronIndex)}\n` +
+          `${sym.sum}${label} = ${fmt(cache.layerWeightedSums[layerIndex][neuronIndex])}\n` +
+          `${sym.act}${label} = ${fmt(value)}`
+      );
+    });
+  }
+}
+
+// Signal flow animation
+// With animation on, opening the forward step or a backward step plays
+// the values travelling along the edges: activations left to right,
+// gradients right to left. Phases cover one layer, or one neuron at a
+// time in sub-step mode. Labels are read from cache on every frame, so
+// they keep up with slider changes.
+const FLOW_PHASE_MS = 900;
+
+let flowAnimation = null; // { stepIndex, phases, progress, lastTime, frame }
+
+function flowSpeed() {
+  return Math.pow(2, parseFloat(flowSpeedSlider.value));
+}
+
+// Each phase: { direction, layerIndex, neurons, lines } with the
+// connection lines (biases included) into those neurons
+function flowPlan(step) {
+  const byNeuron = flowGranularitySelect.value === "neuron";
+  const phases = [];
+  const addLayer = (layerIndex, direction) => {
+    const neurons = params.weights[layerIndex].map((_, neuronIndex) => neuronIndex);
+    const groups = byNeuron ? neurons.map((neuronIndex) => [neuronIndex]) : [neurons];
+    groups.forEach((group) => {
+      phases.push({
+        direction,
+        layerIndex,
+        neurons: group,
+        lines: group.flatMap((neuronIndex) =>
+          Array.from(svg.querySelectorAll(`line[data-layer="${layerIndex}"][data-neuron="${neuronIndex}"]`))
+        ),
+      });
+    });
+  };
+
+  if (step.kind === "forward") {
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) addLayer(layerIndex, "forward");
+  } else if (step.kind === "backward") {
+    addLayer(step.layerIndex, "backward");
+  }
+  return phases;
+}
+
+// Forward edges carry w · input (or the bias), backward edges dL/dw
+function flowEdgeLabel(line, direction) {
+  const layerIndex = Number(line.dataset.layer);
+  const neuronIndex = Number(line.dataset.neuron);
+  const isBias = line.dataset.input === "bias";
+  const inputIndex = Number(line.dataset.input);
+  if (direction === "forward") {
+    return isBias
+      ? fmt(params.biases[layerIndex][neuronIndex], 2)
+      : fmt(params.weights[layerIndex][neuronIndex][inputIndex] * layerInputs(cache, layerIndex)[inputIndex], 2);
+  }
+  return fmtSmall(
+    isBias
+      ? cache.gradLossWrtBiases[layerIndex][neuronIndex]
+      : cache.gradLossWrtWeights[layerIndex][neuronIndex][inputIndex]
+  );
+}
+
+function flowLayer() {
+  let layer = svg.querySelector(".flow-layer");
+  if (!layer) {
+    layer = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    layer.setAttribute("class", "flow-layer");
+    svg.appendChild(layer);
+  }
+  return layer;
+}
+
+function drawFlow() {
+  const layer = flowLayer();
+  layer.innerHTML = "";
+  if (!flowAnimation) return;
+
+  const currentPhase = Math.floor(flowAnimation.progress);
+  const t = flowAnimation.progress - currentPhase;
+
+  flowAnimation.phases.forEach((phase, phaseIndex) => {
+    if (phaseIndex > currentPhase) return;
+    const playing = phaseIndex === currentPhase;
+    const forward = phase.direction === "forward";
+
+    phase.lines.forEach((line) => {
+      const x1 = Number(line.getAttribute("x1"));
+      const y1 = Number(line.getAttribute("y1"));
+      const x2 = Number(line.getAttribute("x2"));
+      const y2 = Number(line.getAttribute("y2"));
+
+      if (playing) {
+        const along = forward ? t : 1 - t;
+        layer.appendChild(
+          createCircle(x1 + (x2 - x1) * along, y1 + (y2 - y1) * along, 4, `flow-pulse flow-${phase.direction}`)
+        );
+      }
+      const label = createText((x1 + x2) / 2, (y1 + y2) / 2 - 4, flowEdgeLabel(line, phase.direction), "flow-label");
+      label.setAttribute("opacity", playing ? Math.min(1, t * 2).toFixed(2) : "1");
+      layer.appendChild(label);
+    });
+
+    // Forward: each neuron's activation once its inputs have arrived.
+    // Backward: the dL/dz the pulses start from.
+    if (forward && playing && t < 0.8) return;
+    phase.neurons.forEach((neuronIndex) => {
+      const node = layout.columns[phase.layerIndex + 1][neuronIndex];
+      const text = forward
+        ? `${isOutputLayer(phase.layerIndex) ? "ŷ" : "a"} ${fmt(cache.layerActivations[phase.layerIndex][neuronIndex], 3)}`
+        : `δ ${fmtSmall(cache.gradLossWrtLayerSums[phase.layerIndex][neuronIndex])}`;
+      layer.appendChild(createText(node.x, node.y + 32, text, `flow-node-label flow-${phase.direction}`));
+    });
+  });
+}
+
+function stopFlowAnimation() {
+  if (flowAnimation && flowAnimation.frame != null) cancelAnimationFrame(flowAnimation.frame);
+  flowAnimation = null;
+}
+
+function flowTick(now) {
+  const animation = flowAnimation;
+  if (animation.lastTime != null) {
+    animation.progress += ((now - animation.lastTime) * flowSpeed()) / FLOW_PHASE_MS;
+  }
+  animation.lastTime = now;
+  // Once every phase has played, all labels stay on screen
+  animation.progress = Math.min(animation.progress, animation.phases.length);
+  drawFlow();
+  animation.frame = animation.progress < animation.phases.length ? requestAnimationFrame(flowTick) : null;
+}
+
+// Called from renderStep: starts playing when the step changes,
+// otherwise just refreshes the labels
+function updateFlowAnimation(step) {
+  if (!animateFlowCheckbox.checked || isTraining()) {
+    stopFlowAnimation();
+    drawFlow();
+    return;
+  }
+  if (flowAnimation && flowAnimation.stepIndex === currentStep) {
+    drawFlow();
+    return;
+  }
+
+  stopFlowAnimation();
+  const phases = flowPlan(step);
+  flowAnimation = { stepIndex: currentStep, phases, progress: 0, lastTime: null, frame: null };
+  drawFlow();
+  if (phases.length > 0) flowAnimation.frame = requestAnimationFrame(flowTick);
+}
+
+function replayFlowAnimation() {
+  stopFlowAnimation();
+  renderStep();
+}
+
+// Inspector
+// Clicking a neuron or a connection opens a card with the numbers behind
+// it. Gradients are written out as the chain-rule product along every
+// path from the output back to that quantity, each factor read from
+// cache, and those paths are highlighted on the diagram.
+const NETWORK_VIEW_WIDTH = 600;
+const NETWORK_VIEW_HEIGHT = 320;
+const MAX_INSPECTOR_PATHS = 8;
+const SUBSCRIPT_DIGITS = "₀₁₂₃₄₅₆₇₈₉";
+
+// { kind: "param", layerIndex, neuronIndex, inputIndex } (inputIndex "bias" for biases)
+// or { kind: "node", id }
+let inspected = null;
+
+function subscript(number) {
+  return String(number)
+    .split("")
+    .map((digit) => SUBSCRIPT_DIGITS[digit])
+    .join("");
+}
+
+function sumName(layerIndex, neuronIndex) {
+  return isOutputLayer(layerIndex) ? outputRef("z_out", neuronIndex) : `${layerSymbols(layerIndex).sum}[${neuronIndex + 1}]`;
+}
+
+function activationName(layerIndex, neuronIndex) {
+  return isOutputLayer(layerIndex) ? outputRef("ŷ", neuronIndex) : `${layerSymbols(layerIndex).act}[${neuronIndex + 1}]`;
+}
+
+function inputName(layerIndex, inputIndex) {
+  return layerIndex === 0 ? `x${subscript(inputIndex + 1)}` : activationName(layerIndex - 1, inputIndex);
+}
+
+function fmtFactor(value) {
+  return value < 0 ? `(${fmt(value)})` : fmt(value);
+}
+
+// One neuron's weighted sum written out with symbols and with the numbers
+function weightedSumTerms(layerIndex, neuronIndex) {
+  const inputs = layerInputs(cache, layerIndex);
+  return {
+    symbolic: [
+      ...inputs.map((_, inputIndex) => `${weightRef(layerIndex, neuronIndex + 1, inputIndex + 1)} · ${inputName(layerIndex, inputIndex)}`),
+      biasRef(layerIndex, neuronIndex + 1),
+    ].join(" + "),
+    numeric: [
+      ...params.weights[layerIndex][neuronIndex].map((weight, inputIndex) => `${fmtFactor(weight)} · ${fmtFactor(inputs[inputIndex])}`),
+      fmtFactor(params.biases[layerIndex][neuronIndex]),
+    ].join(" + "),
+  };
+}
+
+// Every path from neuron j of a layer to the output, as the neuron index
+// in each layer from that one up to the output
+function pathsToOutput(layerIndex, neuronIndex) {
+  if (isOutputLayer(layerIndex)) return [[neuronIndex]];
+  const paths = [];
+  params.weights[layerIndex + 1].forEach((_, nextIndex) => {
+    pathsToOutput(layerIndex + 1, nextIndex).forEach((rest) => paths.push([neuronIndex, ...rest]));
+  });
+  return paths;
+}
+
+// Softmax mixes the neurons of its layer, so single paths stop multiplying out
+function pathsMixed(layerIndex) {
+  for (let later = layerIndex; later < getLayerCount(); later++) {
+    if (activationOf(later).vector && getLayerSizes()[later + 1] > 1) return true;
+  }
+  return false;
+}
+
+// dL/dz along one path: dL/dŷ · f'(z_out) · w · f'(z) · … back to the path's first layer
+function pathFactors(layerIndex, path) {
+  const slopeFactor = (layer, neuron) => ({
+    text: `${activationOf(layer).symbol}'(${sumName(layer, neuron)})`,
+    value: cache.gradActivationWrtLayerSums[layer][neuron],
+  });
+  const lastLayer = getLayerCount() - 1;
+  const outputIndex = path[path.length - 1];
+  const factors = [
+    { text: `dL/d${activationName(lastLayer, outputIndex)}`, value: cache.gradLossWrtPredictions[outputIndex] },
+    slopeFactor(lastLayer, outputIndex),
+  ];
+  for (let layer = lastLayer; layer > layerIndex; layer--) {
+    const to = path[layer - layerIndex];
+    const from = path[layer - layerIndex - 1];
+    factors.push({ text: weightRef(layer, to + 1, from + 1), value: params.weights[layer][to][from] });
+    factors.push(slopeFactor(layer - 1, from));
+  }
+  return factors;
+}
+
+// Lines for "target = product = value", one block per path when there are several.
+// tail is the last factor (the input feeding a weight), or null.
+function chainRuleLines(target, layerIndex, neuronIndex, tail, expected) {
+  const tailFactors = tail ? [tail] : [];
+  if (pathsMixed(layerIndex)) {
+    const gradSum = cache.gradLossWrtLayerSums[layerIndex][neuronIndex];
+    return [
+      `${target} = ${["dL/d" + sumName(layerIndex, neuronIndex), ...tailFactors.map((f) => f.text)].join(" · ")}`,
+      `  = ${[gradSum, ...tailFactors.map((f) => f.value)].map(fmtFactor).join(" · ")}`,
+      `  = ${fmt(expected)}`,
+      "",
+      "A softmax layer mixes its neurons, so dL/dz comes from its full",
+      "Jacobian instead of one product per path (see the backward steps).",
+    ];
+  }
+
+  const paths = pathsToOutput(layerIndex, neuronIndex);
+  const lines = [];
+  let total = 0;
+  paths.forEach((path, pathIndex) => {
+    const factors = [...pathFactors(layerIndex, path), ...tailFactors];
+    const value = factors.reduce((product, factor) => product * factor.value, 1);
+    total += value;
+    if (pathIndex >= MAX_INSPECTOR_PATHS) return;
+
+    const product = factors.map((factor) => factor.text).join(" · ");
+    const numbers = factors.map((factor) => fmtFactor(factor.value)).join(" · ");
+    if (paths.length === 1) {
+      lines.push(`${target} = ${product}`, `  = ${numbers}`);
+    } else {
+      // With several outputs the output a path ends in is part of the route too
+      const via = path
+        .slice(1, architecture.outputCount > 1 ? path.length : -1)
+        .map((neuron, offset) => activationName(layerIndex + 1 + offset, neuron))
+        .join(" → ");
+      lines.push(`via ${via}:`, `  ${product}`, `  = ${numbers} = ${fmt(value)}`);
+    }
+  });
+
+  if (paths.length > 1) {
+    if (paths.length > MAX_INSPECTOR_PATHS) lines.push(`… and ${paths.length - MAX_INSPECTOR_PATHS} more paths`);
+    lines.unshift(`${target} = sum over ${paths.length} paths to the output${architecture.outputCount > 1 ? "s" : ""}:`);
+  }
+  lines.push(`  = ${fmt(total)}`);
+  const matches = Math.abs(total - expected) <= 1e-9 * Math.max(1, Math.abs(expected));
+  lines.push("", `Backward pass value: ${fmt(expected)} ${matches ? "✓" : "✗"}`);
+  return lines;
+}
+
+// Title, body lines, the SVG point to anchor the card at, and the
+// neuron indices whose paths to the output should light up
+function describeInspected() {
+  if (inspected.kind === "param") {
+    const { layerIndex, neuronIndex, inputIndex } = inspected;
+    const isBias = inputIndex === "bias";
+    const name = isBias ? biasRef(layerIndex, neuronIndex + 1) : weightRef(layerIndex, neuronIndex + 1, inputIndex + 1);
+    const value = isBias ? params.biases[layerIndex][neuronIndex] : params.weights[layerIndex][neuronIndex][inputIndex];
+    const gradient = isBias
+      ? cache.gradLossWrtBiases[layerIndex][neuronIndex]
+      : cache.gradLossWrtWeights[layerIndex][neuronIndex][inputIndex];
+    const tail = isBias
+      ? null
+      : { text: inputName(layerIndex, inputIndex), value: layerInputs(cache, layerIndex)[inputIndex] };
+    return {
+      title: `${isBias ? "Bias" : "Weight"} ${name} = ${fmt(value)}`,
+      lines: chainRuleLines(`dL/d${name}`, layerIndex, neuronIndex, tail, gradient),
+      path: { layerIndex, neuronIndex },
+    };
+  }
+
+  const { id } = inspected;
+  const inputIndex = layout.columns[0].findIndex((node) => node.id === id);
+  if (inputIndex >= 0) {
+    return {
+      title: `Input ${inputName(0, inputIndex)} = ${fmt(cache.inputVector[inputIndex])}`,
+      lines: [
+        isDatasetMode() ? "Taken from the selected data point." : "Set by its slider.",
+        "Inputs are fixed, so backprop stops here: only the",
+        "weights they feed into get gradients.",
+      ],
+      path: null,
+    };
+  }
+
+  const biasLayer = layout.biasNodes.findIndex((node) => node.id === id);
+  if (biasLayer >= 0) {
+    const sym = layerSymbols(biasLayer);
+    return {
+      title: `Bias input for ${isOutputLayer(biasLayer) ? "the output layer" : sym.name}`,
+      lines: [
+        "Always 1. The line into each neuron carries that neuron's bias,",
+        `so z = Σ w · ${sym.input} + b · 1 and dL/db = dL/dz · 1.`,
+      ],
+      path: null,
+    };
+  }
+
+  for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+    const neuronIndex = layout.columns[layerIndex + 1].findIndex((node) => node.id === id);
+    if (neuronIndex < 0) continue;
+
+    const sum = cache.layerWeightedSums[layerIndex][neuronIndex];
+    const terms = weightedSumTerms(layerIndex, neuronIndex);
+    const activation = activationOf(layerIndex);
+    const lines = [
+      "Forward:",
+      `${sumName(layerIndex, neuronIndex)} = ${terms.symbolic}`,
+      `  = ${terms.numeric}`,
+      `  = ${fmt(sum)}`,
+      `${activationName(layerIndex, neuronIndex)} = ${activation.symbol}(${sumName(layerIndex, neuronIndex)}) = ${fmt(cache.layerActivations[layerIndex][neuronIndex])}`,
+    ];
+    if (isOutputLayer(layerIndex)) {
+      lines.push(
+        architecture.outputCount > 1
+          ? `its ${currentLoss().name} term = ${fmt(cache.outputLosses[neuronIndex])} of L = ${fmt(cache.loss)}`
+          : `L = ${currentLoss().name} = ${fmt(cache.loss)}`
+      );
+    }
+    lines.push(
+      "",
+      "Backward:",
+      ...chainRuleLines(
+        `dL/d${sumName(layerIndex, neuronIndex)}`,
+        layerIndex,
+        neuronIndex,
+        null,
+        cache.gradLossWrtLayerSums[layerIndex][neuronIndex]
+      )
+    );
+    return {
+      title: neuronTitle(layerIndex, neuronIndex),
+      lines,
+      path: { layerIndex, neuronIndex },
+    };
+  }
+  return null;
+}
+
+function inspectedElement() {
+  if (inspected.kind === "node") return svg.querySelector(`circle[data-id="${inspected.id}"]`);
+  const { layerIndex, neuronIndex, inputIndex } = inspected;
+  return svg.querySelector(
+    `line[data-layer="${layerIndex}"][data-neuron="${neuronIndex}"][data-input="${inputIndex}"]`
+  );
+}
+
+function renderInspector() {
+  Array.from(svg.querySelectorAll(".conn-path")).forEach((el) => el.classList.remove("conn-path"));
+  Array.from(svg.querySelectorAll(".neuron-path")).forEach((el) => el.classList.remove("neuron-path"));
+
+  const element = inspected && inspectedElement();
+  const details = element && describeInspected();
+  inspectorEl.hidden = !details;
+  if (!details) {
+    inspected = null;
+    return;
+  }
+
+  // Light up the clicked element and every path from it to the output
+  element.classList.add(element.tagName === "circle" ? "neuron-path" : "conn-path");
+  if (details.path) {
+    const { layerIndex, neuronIndex } = details.path;
+    pathsToOutput(layerIndex, neuronIndex).forEach((path) => {
+      path.forEach((neuron, offset) => {
+        const layer = layerIndex + offset;
+        const node = svg.querySelector(`circle[data-id="${nodeId(layer, neuron)}"]`);
+        if (node) node.classList.add("neuron-path");
+        if (offset === 0) return;
+        const line = svg.querySelector(
+          `line[data-from="${nodeId(layer - 1, path[offset - 1])}"][data-to="${nodeId(layer, neuron)}"]`
+        );
+        if (line) line.classList.add("conn-path");
+      });
+    });
+  }
+
+  inspectorTitleEl.textContent = details.title;
+  inspectorBodyEl.textContent = details.lines.join("\n");
+
+  // Anchor the card next to the element, opening away from the nearest edges
+  const x = element.tagName === "circle"
+    ? Number(element.getAttribute("cx"))
+    : (Number(element.getAttribute("x1")) + Number(element.getAttribute("x2"))) / 2;
+  const y = element.tagName === "circle"
+    ? Number(element.getAttribute("cy"))
+    : (Number(element.getAttribute("y1")) + Number(element.getAttribute("y2"))) / 2;
+  inspectorEl.style.left = `${svg.offsetLeft + (x / NETWORK_VIEW_WIDTH) * svg.clientWidth}px`;
+  inspectorEl.style.top = `${svg.offsetTop + (y / NETWORK_VIEW_HEIGHT) * svg.clientHeight}px`;
+  inspectorEl.classList.toggle("open-left", x > NETWORK_VIEW_WIDTH / 2);
+  inspectorEl.classList.toggle("open-up", y > NETWORK_VIEW_HEIGHT / 2);
+}
+
+function onNetworkClick(event) {
+  const group = event.target.closest(".conn-group");
+  const circle = event.target.closest("circle[data-id]");
+  if (group) {
+    const line = group.querySelector("line[data-layer]");
+    inspected = {
+      kind: "param",
+      layerIndex: Number(line.dataset.layer),
+      neuronIndex: Number(line.dataset.neuron),
+      inputIndex: line.dataset.input === "bias" ? "bias" : Number(line.dataset.input),
+    };
+  } else if (circle) {
+    inspected = { kind: "node", id: circle.dataset.id };
+  } else {
+    inspected = null;
+  }
+  renderInspector();
+}
+
+// UI rendering for equations & values
+function renderStep() {
+  computeForward();
+  computeBackward();
+  updateGradientHealth();
+  drawDataset();
+  drawOutputMap();
+  drawLossLandscape();
+  renderTrainingStatus();
+  drawLossChart();
+  renderGradientCheck();
+  renderParamEditor();
+  scheduleStateHash();
+
+  const steps = getSteps();
+  const step = steps[currentStep];
+  highlightForStep(step);
+  markGradientHealth();
+  updateFlowAnimation(step);
+  renderInspector();
+  updateHistoryControls();
+
+  stepItems.forEach((item, idx) => {
+    item.classList.toggle("active", idx === currentStep);
+  });
+
+  renderStepPanel(step, currentStep + 1);
+  renderComparison();
+}
+
+// The details panel: scalar or matrix form, then practice inputs on top
+function renderStepPanel(step, stepNumber) {
+  renderStepDetails(step, stepNumber);
+  appendGradientHealth(step);
+  if (matrixViewCheckbox.checked) renderMatrixDetails(step);
+  renderPractice(step);
+}
+
+// Title, equations, explanation and value cards of one step for the
+// current cache. Kept apart from renderStep so the report export can
+// render every step in turn.
+function renderStepDetails(step, stepNumber) {
+  const s = cache;
+
+  if (step.kind === "forward") {
+    stepTitleEl.textContent = `${stepNumber}. Forward pass: from inputs to prediction`;
+
+    const lines = [];
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+      const sym = layerSymbols(layerIndex);
+      const multiOutput = architecture.outputCount > 1;
+      lines.push(
+        isOutputLayer(layerIndex)
+          ? `Step ${layerIndex + 1}: ${multiOutput ? "Each output neuron k does" : "The output neuron does"}:`
+          : `Step ${layerIndex + 1}: Each neuron j in ${sym.name} does:`
+      );
+      const activation = activationOf(layerIndex);
+      if (isOutputLayer(layerIndex) && multiOutput) {
+        lines.push(`  z_out[k] = Σ_j ${weightRef(layerIndex, "k", "j")} · ${sym.input}[j] + b_o[k]`);
+        lines.push(`  ŷ[k]     = ${activationText(activation, "z_out", "k")}`);
+      } else if (isOutputLayer(layerIndex)) {
+        lines.push(`  z_out = Σ_j ${weightRef(layerIndex, "", "j")} · ${sym.input}[j] + b_o`);
+        lines.push(`  ŷ     = ${activationText(activation, "z_out", "")}`);
+      } else {
+        lines.push(`  ${sym.sum}[j] = ${sym.weight}[j] · ${sym.input} + ${sym.bias}[j]  (weighted sum)`);
+        lines.push(
+          `  ${sym.act}[j]   = ${activationText(activation, sym.sum, "j")}  (apply ${activation.label})`
+        );
+        lines.push("");
+      }
+    }
+    equationsEl.textContent = lines.join("\n");
+
+    const firstActivation = activationOf(0).label;
+    const inputCount = architecture.inputCount;
+    const theInputs = inputCount === 1 ? "the input" : inputCount === 2 ? "the two inputs" : `the ${inputCount} inputs`;
+    stepExplainerEl.textContent =
+      architecture.hiddenLayerSizes.length > 1
+        ? `We start by mixing ${theInputs} inside each neuron of the first hidden layer ` +
+          `and applying the ${firstActivation} activation. Every following layer mixes the activations ` +
+          "of the layer before it in the same way, until the output neuron gives the prediction ŷ."
+        : `We start by mixing ${theInputs} inside each hidden neuron, ` +
+          `applying the ${firstActivation} activation, then mixing those hidden activations ` +
+          "again to get the final prediction ŷ.";
+
+    const pairs = s.inputVector.map((value, inputIndex) => [`Input ${inputName(0, inputIndex)}`, value]);
+    for (let layerIndex = 0; layerIndex < getLayerCount() - 1; layerIndex++) {
+      const sym = layerSymbols(layerIndex);
+      s.layerWeightedSums[layerIndex].forEach((sum, neuronIndex) => {
+        const title = neuronTitle(layerIndex, neuronIndex);
+        pairs.push([`${title} sum (${sym.sum}[${neuronIndex + 1}])`, sum]);
+        pairs.push([
+          `${title} act (${sym.act}[${neuronIndex + 1}])`,
+          s.layerActivations[layerIndex][neuronIndex],
+        ]);
+      });
+    }
+    s.predictions.forEach((prediction, outputIndex) => {
+      pairs.push([`Output sum (${outputRef("z_out", outputIndex)})`, s.outputSums[outputIndex]]);
+      pairs.push([`Prediction ${outputRef("ŷ", outputIndex)}`, prediction]);
+    });
+    renderValues(pairs);
+  } else if (step.kind === "loss") {
+    const loss = currentLoss();
+    const outputActivation = architecture.activations[getLayerCount() - 1];
+    const multiOutput = architecture.outputCount > 1;
+    stepTitleEl.textContent = `${stepNumber}. Loss: how far is ŷ from y?`;
+    equationsEl.textContent = [
+      ...(multiOutput && !loss.summed
+        ? [
+            `We measure error with ${loss.name} on each output k and add them up:`,
+            "  L   = Σ_k L_k",
+            `  ${indexedLossText(loss.formula).replace(/^L /, "L_k ")}`,
+          ]
+        : [`We measure error with ${loss.name}:`, `  ${loss.formula}`]),
+      "",
+      multiOutput ? "If every ŷ[k] is close to its y[k], L is small." : "If ŷ is close to y, L is small.",
+    ].join("\n");
+
+    stepExplainerEl.textContent =
+      (multiOutput
+        ? "Here we compare every prediction ŷ[k] to its target y[k]. "
+        : "Here we simply compare the prediction ŷ to the target y. ") +
+      "The further apart they are, the bigger the loss. " +
+      loss.note +
+      ((lossSelect.value === "bce" || lossSelect.value === "categorical") &&
+      outputActivation !== "sigmoid" &&
+      outputActivation !== "softmax"
+        ? " Cross-entropy needs 0 < ŷ < 1, so ŷ is clipped into that range before taking the log."
+        : "") +
+      (lossSelect.value === "categorical" && outputActivation !== "softmax"
+        ? " Categorical cross-entropy expects the outputs to be probabilities that sum to 1, " +
+          "which is what a softmax output gives."
+        : "");
+
+    const pairs = [];
+    s.predictions.forEach((prediction, outputIndex) => {
+      pairs.push([`Prediction ${outputRef("ŷ", outputIndex)}`, prediction]);
+      pairs.push([`Target ${outputRef("y", outputIndex)}`, s.targets[outputIndex]]);
+      if (multiOutput) pairs.push([`Loss term L_${outputIndex + 1}`, s.outputLosses[outputIndex]]);
+    });
+    pairs.push(["Loss L", s.loss]);
+    if (s.batch) {
+      stepExplainerEl.textContent +=
+        ` Training minimizes the average loss over the batch of ${s.batch.size} examples.`;
+      pairs.push([`Batch loss (mean of ${s.batch.size})`, s.batch.loss]);
+    }
+    renderValues(pairs, s.batch ? [`Batch loss (mean of ${s.batch.size})`] : []);
+  } else if (step.kind === "backward" && isOutputLayer(step.layerIndex) && architecture.outputCount > 1) {
+    const layerIndex = step.layerIndex;
+    const sym = layerSymbols(layerIndex);
+    const activation = activationOf(layerIndex);
+    const loss = currentLoss();
+    const crossEntropyShortcut = isCrossEntropyShortcut();
+    stepTitleEl.textContent = `${stepNumber}. Backward: gradients at the output neurons`;
+
+    const lines = [
+      "Every output k starts its own error signal:",
+      `  dL/dŷ[k] = ${loss.summed ? loss.gradientText : indexedLossText(loss.gradientText)}`,
+    ];
+    if (activation.vector) {
+      lines.push(
+        "",
+        "Softmax ties the outputs together, so dŷ/dz_out is a full Jacobian:",
+        "  ∂ŷ[m]/∂z_out[k] = ŷ[m] · (δ_mk − ŷ[k])   (δ_mk = 1 if m = k, else 0)",
+        "  dL/dz_out[k]    = Σ_m dL/dŷ[m] · ∂ŷ[m]/∂z_out[k]",
+        "                  = ŷ[k] · (dL/dŷ[k] − Σ_m dL/dŷ[m] · ŷ[m])",
+        ...(crossEntropyShortcut ? ["                  = ŷ[k] − y[k]   (one-hot y, categorical cross-entropy)"] : [])
+      );
+    } else {
+      lines.push(
+        `  dŷ[k]/dz_out[k] = ${activation.symbol}'(z_out[k]) = ${activation.derivative("z_out[k]", "ŷ[k]")}`,
+        "  dL/dz_out[k]    = dL/dŷ[k] · dŷ[k]/dz_out[k]",
+        ...(crossEntropyShortcut ? ["                  = ŷ[k] − y[k]"] : []),
+        "",
+        "The Jacobian dŷ/dz_out is diagonal: ŷ[k] only depends on z_out[k],",
+        "so every output's gradient is worked out on its own."
+      );
+    }
+    lines.push(
+      "",
+      "For each output k and each neuron j feeding it:",
+      `  dL/d${weightRef(layerIndex, "k", "j")} = dL/dz_out[k] · ${sym.input}[j]`,
+      "  dL/db_o[k]     = dL/dz_out[k] · 1"
+    );
+    equationsEl.textContent = lines.join("\n");
+
+    stepExplainerEl.textContent =
+      (activation.vector
+        ? "A softmax head turns the outputs into class probabilities, so nudging one z_out[k] " +
+          "moves every ŷ. The Jacobian collects all of those effects into dL/dz_out[k]. " +
+          (crossEntropyShortcut
+            ? "Paired with categorical cross-entropy and a one-hot target everything cancels, " +
+              "leaving dL/dz_out[k] = ŷ[k] − y[k]: predicted probability minus target, for every class."
+            : activation.note)
+        : "Each output neuron has its own target, so we find dL/dz_out[k] for every output " +
+          "separately, then the gradients of the weights and bias feeding it. " +
+          (crossEntropyShortcut
+            ? "With cross-entropy on sigmoid outputs the slope cancels again, leaving ŷ[k] − y[k]."
+            : activation.note)) + batchNote(s);
+
+    const pairs = [];
+    const predictions = s.predictions;
+    predictions.forEach((prediction, outputIndex) => {
+      const ref = outputIndex + 1;
+      pairs.push([`Gradient dL/dŷ[${ref}]`, s.gradLossWrtPredictions[outputIndex]]);
+      if (activation.vector) {
+        // ∂ŷ[k]/∂z_out[m] for every m: one row of the softmax Jacobian
+        const row = predictions.map((other, sumIndex) => prediction * ((sumIndex === outputIndex ? 1 : 0) - other));
+        pairs.push([`Jacobian ∂ŷ[${ref}]/∂z_out[1…${predictions.length}]`, row.map((value) => fmt(value)).join(", ")]);
+      } else {
+        pairs.push([
+          `${activation.symbol}'(z_out[${ref}]) (slope of ${activation.label})`,
+          s.gradActivationWrtLayerSums[layerIndex][outputIndex],
+        ]);
+      }
+      pairs.push([`Gradient dL/dz_out[${ref}]`, s.gradLossWrtLayerSums[layerIndex][outputIndex]]);
+    });
+    const inputs = layerInputs(s, layerIndex);
+    predictions.forEach((_, outputIndex) => {
+      for (let inputIndex = 0; inputIndex < inputs.length; inputIndex++) {
+        const from = layerIndex === 0 ? `input ${inputIndex + 1}` : neuronTitle(layerIndex - 1, inputIndex).toLowerCase();
+        pairs.push([
+          `Grad dL/d${weightRef(layerIndex, outputIndex + 1, inputIndex + 1)} (${from} → output ${outputIndex + 1})`,
+          s.gradLossWrtWeights[layerIndex][outputIndex][inputIndex],
+        ]);
+      }
+      pairs.push([
+        `Grad dL/d${biasRef(layerIndex, outputIndex + 1)} (output ${outputIndex + 1} bias)`,
+        s.gradLossWrtBiases[layerIndex][outputIndex],
+      ]);
+    });
+    renderValues(pairs);
+  } else if (step.kind === "backward" && isOutputLayer(step.layerIndex)) {
+    const layerIndex = step.layerIndex;
+    const sym = layerSymbols(layerIndex);
+    const activation = activationOf(layerIndex);
+    const crossEntropyShortcut = isCrossEntropyShortcut();
+    stepTitleEl.textContent = `${stepNumber}. Backward: gradients at the output neuron`;
+    equationsEl.textContent = [
+      "We move one step back from the loss to z_out:",
+      `  dL/dŷ   = ${currentLoss().gradientText}`,
+      `  dŷ/dz   = ${activation.symbol}'(z_out) = ${activation.derivative("z_out", "ŷ")}`,
+      "  dL/dz   = dL/dŷ · dŷ/dz",
+      ...(crossEntropyShortcut
+        ? ["          = (ŷ − y) / (ŷ·(1 − ŷ)) · ŷ·(1 − ŷ) = ŷ − y"]
+        : []),
+      "",
+      `For each neuron j feeding the output:`,
+      `  dL/d${weightRef(layerIndex, "", "j")} = dL/dz · ${sym.input}[j]`,
+      "  dL/db_o     = dL/dz · 1",
+    ].join("\n");
+
+    stepExplainerEl.textContent =
+      "We ask: if we nudge the output weights and bias a little, " +
+      "how does the loss change? These are the gradients for the last layer. " +
+      (crossEntropyShortcut
+        ? "With cross-entropy on a sigmoid output, the sigmoid slope in dŷ/dz cancels the " +
+          "ŷ·(1 − ŷ) in dL/dŷ, so dL/dz_out is simply ŷ − y. The gradient never vanishes " +
+          "just because the output neuron is saturated."
+        : activation.note) +
+      batchNote(s);
+
+    const pairs = [
+      ["Gradient dL/dŷ (loss vs prediction)", s.gradLossWrtPredictions[0]],
+      [`${activation.symbol}'(z_out) (slope of ${activation.label})`, s.gradActivationWrtLayerSums[layerIndex][0]],
+      ["Gradient dL/dz_out", s.gradLossWrtLayerSums[layerIndex][0]],
+    ];
+    const inputs = layerInputs(s, layerIndex);
+    for (let inputIndex = 0; inputIndex < inputs.length; inputIndex++) {
+      const from = layerIndex === 0 ? `input ${inputIndex + 1}` : neuronTitle(layerIndex - 1, inputIndex).toLowerCase();
+      pairs.push([
+        `Grad dL/d${weightRef(layerIndex, 1, inputIndex + 1)} (${from} → output)`,
+        s.gradLossWrtWeights[layerIndex][0][inputIndex],
+      ]);
+    }
+    pairs.push(["Grad dL/db_o (output bias)", s.gradLossWrtBiases[layerIndex][0]]);
+    renderValues(pairs);
+  } else if (step.kind === "backward") {
+    const layerIndex = step.layerIndex;
+    const sym = layerSymbols(layerIndex);
+    const activation = activationOf(layerIndex);
+    const slopeName = `${activation.symbol}'(${sym.sum}[j])`;
+    const next = layerSymbols(layerIndex + 1);
+    const nextIsSingle = getLayerSizes()[layerIndex + 2] === 1;
+
+    stepTitleEl.textContent = `${stepNumber}. Backward: gradients for ${sym.name} and its input weights`;
+    equationsEl.textContent = [
+      `For each neuron j in ${sym.name} we go one step back:`,
+      nextIsSingle
+        ? `  dL/d${sym.act}[j]   = dL/d${next.sum} · ${weightRef(layerIndex + 1, "", "j")}`
+        : `  dL/d${sym.act}[j]   = Σ_k dL/d${next.sum}[k] · ${weightRef(layerIndex + 1, "k", "j")}`,
+      `  ${slopeName} = ${activation.derivative(`${sym.sum}[j]`, `${sym.act}[j]`)}`,
+      activation.vector
+        ? `  dL/d${sym.sum}[j] = ${sym.act}[j] · (dL/d${sym.act}[j] − Σ_k dL/d${sym.act}[k] · ${sym.act}[k])`
+        : `  dL/d${sym.sum}[j] = dL/d${sym.act}[j] · ${slopeName}`,
+      "",
+      layerIndex === 0 ? "Then for each input i:" : "Then for each neuron i in the layer before:",
+      `  dL/d${weightRef(layerIndex, "j", "i")} = dL/d${sym.sum}[j] · ${sym.input}[i]`,
+      `  dL/d${sym.bias}[j]    = dL/d${sym.sum}[j] · 1`,
+    ].join("\n");
+
+    stepExplainerEl.textContent =
+      layerIndex === 0
+        ? "Now we push the error signal one step earlier, into each hidden neuron " +
+          "and all input-to-hidden weights. This tells us how to tweak the 'feature " +
+          `detectors' in ${architecture.hiddenLayerSizes.length > 1 ? "the first hidden layer" : "the hidden layer"}. ` +
+          activation.note
+        : `Now we push the error signal one step earlier, into ${sym.name}. ` +
+          "Every layer multiplies the signal by another weight and another activation slope, " +
+          "so it can shrink quickly on its way back towards the inputs. " +
+          activation.note;
+    stepExplainerEl.textContent += batchNote(s);
+
+    const pairs = [];
+    s.layerWeightedSums[layerIndex].forEach((_, neuronIndex) => {
+      const title = neuronTitle(layerIndex, neuronIndex);
+      const ref = `${neuronIndex + 1}`;
+      pairs.push([`Grad dL/d${sym.act}[${ref}] (${title} act)`, s.gradLossWrtLayerActivations[layerIndex][neuronIndex]]);
+      pairs.push([
+        `${activation.symbol}'(${sym.sum}[${ref}]) (${title} slope)`,
+        s.gradActivationWrtLayerSums[layerIndex][neuronIndex],
+      ]);
+      pairs.push([`Grad dL/d${sym.sum}[${ref}] (${title} sum)`, s.gradLossWrtLayerSums[layerIndex][neuronIndex]]);
+    });
+    renderValues(pairs);
+  } else if (step.kind === "update") {
+    // Nothing changes here until "Apply update": before that we show the
+    // step we would take, afterwards the one that was just applied.
+    const applied = lastUpdate !== null;
+    const update = applied ? lastUpdate : previewUpdate();
+
+    const { optimizer, decay, schedule } = update;
+
+    stepTitleEl.textContent = applied
+      ? `${stepNumber}. Update applied: one ${optimizer.stepName}`
+      : `${stepNumber}. Update: take one ${optimizer.stepName}`;
+    equationsEl.textContent = [
+      `${optimizer.label} update rule (for any weight w, step t = ${update.steps.step}):`,
+      ...(schedule === LR_SCHEDULES.constant
+        ? []
+        : [`  ${schedule.formula} = ${fmtSmall(update.learningRate)}   (${schedule.label.toLowerCase()}, t = ${update.iteration} updates so far)`]),
+      decay > 0 ? `  g = dL/dw + λ · w        (L2 weight decay, λ = ${decay}; biases use g = dL/db)` : "  g = dL/dw",
+      ...(update.batchSize
+        ? [`  dL/dw = (1/${update.batchSize}) · Σ_n dL_n/dw   (average over the batch)`]
+        : []),
+      ...optimizer.equations,
+      "",
+      "Adding layers or neurons changes how many weights",
+      "we update, but the idea is always the same.",
+    ].join("\n");
+
+    stepExplainerEl.textContent =
+      (applied
+        ? "The step has been applied. Below you can see every weight and bias before and after it " +
+          "(shown as old → new). Undo or Previous puts the old values back; Next step starts " +
+          "the next forward pass with the new ones."
+        : "Below you can see every weight and bias now and after this step (shown as old → new). " +
+          "Nothing changes until you press “Apply update”, so you can still move the inputs " +
+          "and watch the proposed step follow them.") +
+      ` ${optimizer.note}` +
+      (decay > 0 ? " Weight decay also pulls every weight a little towards 0 on each step." : "") +
+      (update.batchSize
+        ? ` The step uses the average gradient of ${update.batchSize} examples, ` +
+          "so it follows the whole batch rather than just the selected point."
+        : "");
+
+    const v = [];
+    v.push(["Old loss", update.oldLoss]);
+    v.push(["New loss", update.newLoss]);
+
+    // Optimizer values behind one parameter's change, e.g. "g 0.0123 · m 0.0012 · v 1.51e-5"
+    const stepDetail = ({ gradient, state, terms }) =>
+      [["g", gradient], ...Object.entries(state), ...Object.entries(terms)]
+        .map(([name, value]) => `${name} ${fmtSmall(value)}`)
+        .join(" · ");
+
+    // Show how each weight and bias changes: old → new
+    const { oldParams, newParams, steps: parameterSteps } = update;
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+      newParams.weights[layerIndex].forEach((row, neuronIndex) => {
+        row.forEach((weight, inputIndex) => {
+          v.push([
+            weightRef(layerIndex, neuronIndex + 1, inputIndex + 1),
+            `${fmt(oldParams.weights[layerIndex][neuronIndex][inputIndex])} → ${fmt(weight)}`,
+            stepDetail(parameterSteps.weights[layerIndex][neuronIndex][inputIndex]),
+          ]);
+        });
+        v.push([
+          biasRef(layerIndex, neuronIndex + 1),
+          `${fmt(oldParams.biases[layerIndex][neuronIndex])} → ` +
+            `${fmt(newParams.biases[layerIndex][neuronIndex])}`,
+          stepDetail(parameterSteps.biases[layerIndex][neuronIndex]),
+        ]);
+      });
+    }
+
+    renderValues(v, ["Old loss", "New loss"]);
+  }
+}
+
+// Extra explainer sentence for backward steps when the update uses a batch
+function batchNote(s) {
+  if (!s.batch) return "";
+  return (
+    " These numbers are for the selected example; the update averages the same " +
+    `gradients over all ${s.batch.size} examples in the batch.`
+  );
+}
+
+// Each pair is [label, value] with an optional third entry: a small
+// line of supporting numbers shown under the value.
+function renderValues(pairs, highlightLabels = [], container = valuesTableEl) {
+  container.innerHTML = "";
+  pairs.forEach(([label, value, detail]) => {
+    const card = document.createElement("div");
+    card.className = "value-card";
+    if (highlightLabels.includes(label)) card.classList.add("highlight");
+
+    const labelEl = document.createElement("div");
+    labelEl.className = "label";
+    labelEl.textContent = label;
+
+    const valEl = document.createElement("div");
+    valEl.className = "val";
+    if (typeof value === "number") {
+      valEl.textContent = fmt(value);
+      card.dataset.value = String(value);
+    } else {
+      valEl.textContent = String(value);
+    }
+
+    card.appendChild(labelEl);
+    card.appendChild(valEl);
+    if (detail) {
+      const detailEl = document.createElement("div");
+      detailEl.className = "detail";
+      detailEl.textContent = detail;
+      card.appendChild(detailEl);
+    }
+    container.appendChild(card);
+  });
+}
+
+// Hidden layer controls: one width slider and activation per layer, plus add/remove
+function renderHiddenLayerControls() {
+  hiddenLayersEl.innerHTML = "";
+  architecture.hiddenLayerSizes.forEach((size, layerIndex) => {
+    const row = document.createElement("div");
+    row.className = "hidden-layer-row";
+    row.innerHTML = `
+      <label>Layer ${layerIndex + 1} neurons: <span class="value-label">${size}</span></label>
+      <div class="hidden-layer-inputs">
+        <input type="range" min="1" max="${MAX_LAYER_WIDTH}" step="1" value="${size}" />
+        <select class="select" title="Activation function">
+          ${activationOptionsHtml(architecture.activations[layerIndex])}
+        </select>
+        <button type="button" class="btn-icon" title="Remove this layer">×</button>
+      </div>
+    `;
+
+    const slider = row.querySelector("input");
+    const sizeLabel = row.querySelector(".value-label");
+    slider.addEventListener("input", () => {
+      architecture.hiddenLayerSizes[layerIndex] = parseInt(slider.value, 10);
+      sizeLabel.textContent = slider.value;
+      onArchitectureChange();
+    });
+
+    const activationSelect = row.querySelector("select");
+    activationSelect.addEventListener("change", () => {
+      architecture.activations[layerIndex] = activationSelect.value;
+      onActivationChange();
+    });
+
+    const removeBtn = row.querySelector("button");
+    removeBtn.disabled = architecture.hiddenLayerSizes.length === 1;
+    removeBtn.addEventListener("click", () => {
+      architecture.hiddenLayerSizes.splice(layerIndex, 1);
+      architecture.activations.splice(layerIndex, 1);
+      renderHiddenLayerControls();
+      onArchitectureChange();
+    });
+
+    hiddenLayersEl.appendChild(row);
+  });
+
+  btnAddLayer.disabled = architecture.hiddenLayerSizes.length >= MAX_HIDDEN_LAYERS;
+}
+
+// Any change in depth or width gives a new set of weights and steps
+function onArchitectureChange() {
+  updateLayout();
+  drawNetwork();
+  initParams();
+  clearParamHistory();
+  resetTrainingStats();
+  renderStepList();
+  renderVariableLegend();
+  currentStep = Math.min(currentStep, getSteps().length - 1);
+  requestRender();
+}
+
+// Switching activations keeps the current weights, so the same network
+// can be compared under different nonlinearities.
+function onActivationChange() {
+  requestRender();
+}
+
+// Parameter editor
+// One number field per weight and bias. Typing a value is an undoable
+// change, just like an applied update. The fields follow params as they
+// change, except the one currently being edited.
+function renderParamEditor() {
+  if (!paramEditorEl.open) return;
+
+  const signature = getLayerSizes().join(",");
+  if (paramEditorGridEl.dataset.signature !== signature) {
+    paramEditorGridEl.dataset.signature = signature;
+    paramEditorGridEl.innerHTML = "";
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+      const group = document.createElement("fieldset");
+      group.className = "param-editor-layer";
+      const fields = [];
+      params.weights[layerIndex].forEach((row, neuronIndex) => {
+        row.forEach((_, inputIndex) => {
+          fields.push([weightRef(layerIndex, neuronIndex + 1, inputIndex + 1), neuronIndex, inputIndex]);
+        });
+        fields.push([biasRef(layerIndex, neuronIndex + 1), neuronIndex, "bias"]);
+      });
+      group.innerHTML = `
+        <legend>Into ${isOutputLayer(layerIndex) ? (architecture.outputCount > 1 ? "the output neurons" : "the output neuron") : layerSymbols(layerIndex).name}</legend>
+        ${fields
+          .map(
+            ([name, neuronIndex, inputIndex]) => `
+          <label class="param-field">
+            <span>${name}</span>
+            <input type="number" step="0.01" class="number-input"
+              data-layer="${layerIndex}" data-neuron="${neuronIndex}" data-input="${inputIndex}" />
+          </label>`
+          )
+          .join("")}
+      `;
+      paramEditorGridEl.appendChild(group);
+    }
+  }
+
+  Array.from(paramEditorGridEl.querySelectorAll("input")).forEach((input) => {
+    if (input === document.activeElement) return;
+    const value = lineParameter(input, params.weights, params.biases);
+    input.value = String(Number(value.toFixed(6)));
+  });
+}
+
+function onParamEdited(input) {
+  const value = parseFloat(input.value);
+  if (!Number.isFinite(value)) {
+    input.value = String(Number(lineParameter(input, params.weights, params.biases).toFixed(6)));
+    return;
+  }
+
+  pushParamHistory();
+  const layerIndex = Number(input.dataset.layer);
+  const neuronIndex = Number(input.dataset.neuron);
+  if (input.dataset.input === "bias") {
+    params.biases[layerIndex][neuronIndex] = value;
+  } else {
+    params.weights[layerIndex][neuronIndex][Number(input.dataset.input)] = value;
+  }
+  lastUpdate = null;
+  requestRender();
+}
+
+// Saving & sharing
+// The whole session (architecture, params, inputs, settings, training
+// data and the current step) is one versioned JSON document. It can be
+// downloaded and loaded again, and it is mirrored into the URL hash so a
+// link (or a page refresh) reopens the same network on the same step.
+// Bump STATE_VERSION when the format changes and keep reading the old one.
+const STATE_FORMAT = "nn-backprop-visualizer";
+// 2: several outputs (architecture.outputCount, targets)
+// 3: 1 to 6 inputs (architecture.inputCount, inputs of any length)
+const STATE_VERSION = 3;
+const STATE_HASH_PREFIX = "#state=";
+const STATE_HASH_DELAY_MS = 400;
+
+let stateHashTimer = null;
+
+function serializeState() {
+  return {
+    format: STATE_FORMAT,
+    version: STATE_VERSION,
+    architecture,
+    params,
+    inputs: sliderInputs(),
+    targets: targetSliders().map((slider) => parseFloat(slider.value)),
+    targetClass: parseInt(targetClassSelect.value, 10),
+    learningRate: parseFloat(lrSlider.value),
+    lrSchedule: lrScheduleSelect.value,
+    loss: lossSelect.value,
+    optimizer: optimizerSelect.value,
+    weightDecay: parseFloat(weightDecaySlider.value),
+    init: { scheme: initSchemeSelect.value, seed: initSeedInput.value },
+    step: currentStep,
+    data: {
+      mode: dataModeSelect.value,
+      dataset: datasetSelect.value,
+      batchMode: batchModeSelect.value,
+      batchSize: parseInt(batchSizeSlider.value, 10),
+      validationSplit: validationSplitCheckbox.checked,
+      selected: selectedExampleIndex,
+      // [x₁, x₂, label, 1 if held out for validation]
+      points: dataset.map(({ inputVector, targetOutput, validation }) => [
+        inputVector[0],
+        inputVector[1],
+        targetOutput,
+        validation ? 1 : 0,
+      ]),
+    },
+  };
+}
+
+// Throws with a readable message when the document can't be loaded
+function checkState(state) {
+  const fail = (message) => {
+    throw new Error(message);
+  };
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+  if (!state || state.format !== STATE_FORMAT) fail("this is not a saved network.");
+  if (!Number.isInteger(state.version) || state.version < 1) fail("the format version is missing.");
+  if (state.version > STATE_VERSION) fail("it was saved by a newer version of the visualizer.");
+
+  const { inputCount = 2, hiddenLayerSizes, activations, outputCount = 1 } = state.architecture || {};
+  if (!Number.isInteger(inputCount) || inputCount < 1 || inputCount > MAX_INPUTS) {
+    fail("the number of inputs is out of range.");
+  }
+  if (!Number.isInteger(outputCount) || outputCount < 1 || outputCount > MAX_OUTPUTS) {
+    fail("the number of outputs is out of range.");
+  }
+  if (
+    !Array.isArray(hiddenLayerSizes) ||
+    hiddenLayerSizes.length < 1 ||
+    hiddenLayerSizes.length > MAX_HIDDEN_LAYERS ||
+    hiddenLayerSizes.some((size) => !Number.isInteger(size) || size < 1 || size > MAX_LAYER_WIDTH)
+  ) {
+    fail("the hidden layer sizes are out of range.");
+  }
+  if (
+    !Array.isArray(activations) ||
+    activations.length !== hiddenLayerSizes.length + 1 ||
+    activations.some((key) => !ACTIVATIONS[key])
+  ) {
+    fail("it uses an unknown activation function.");
+  }
+
+  const layerSizes = [inputCount, ...hiddenLayerSizes, outputCount];
+  const { weights, biases } = state.params || {};
+  const shapeOk =
+    Array.isArray(weights) &&
+    Array.isArray(biases) &&
+    weights.length === layerSizes.length - 1 &&
+    biases.length === layerSizes.length - 1 &&
+    weights.every(
+      (layer, layerIndex) =>
+        Array.isArray(layer) &&
+        layer.length === layerSizes[layerIndex + 1] &&
+        layer.every((row) => Array.isArray(row) && row.length === layerSizes[layerIndex] && row.every(isNumber))
+    ) &&
+    biases.every(
+      (layer, layerIndex) =>
+        Array.isArray(layer) && layer.length === layerSizes[layerIndex + 1] && layer.every(isNumber)
+    );
+  if (!shapeOk) fail("the weights and biases don't match the architecture.");
+}
+
+function applyState(state) {
+  checkState(state);
+  stopTraining();
+
+  architecture = {
+    ...architecture,
+    inputCount: state.architecture.inputCount || 2,
+    hiddenLayerSizes: [...state.architecture.hiddenLayerSizes],
+    outputCount: state.architecture.outputCount || 1,
+    activations: [...state.architecture.activations],
+  };
+  params = cloneParams(state.params);
+  inputCountSlider.value = architecture.inputCount;
+  outputCountSlider.value = architecture.outputCount;
+  renderInputControls();
+  renderTargetControls();
+
+  // Settings fall back to what is on screen when missing or unknown
+  if (Array.isArray(state.inputs)) {
+    inputSliders().forEach((slider, inputIndex) => {
+      if (state.inputs[inputIndex] != null) slider.value = state.inputs[inputIndex];
+    });
+  }
+  // Version 1 saved a single target
+  const targets = Array.isArray(state.targets) ? state.targets : state.target != null ? [state.target] : [];
+  targetSliders().forEach((slider, outputIndex) => {
+    if (targets[outputIndex] != null) slider.value = targets[outputIndex];
+  });
+  if (Number.isInteger(state.targetClass) && state.targetClass < architecture.outputCount) {
+    targetClassSelect.value = String(state.targetClass);
+  }
+  if (state.learningRate != null) lrSlider.value = state.learningRate;
+  lrScheduleSelect.value = LR_SCHEDULES[state.lrSchedule] ? state.lrSchedule : "constant";
+  if (LOSSES[state.loss]) lossSelect.value = state.loss;
+  if (OPTIMIZERS[state.optimizer]) optimizerSelect.value = state.optimizer;
+  if (state.weightDecay != null) weightDecaySlider.value = state.weightDecay;
+  const init = state.init || {};
+  if (INIT_SCHEMES[init.scheme]) initSchemeSelect.value = init.scheme;
+  if (typeof init.seed === "string") initSeedInput.value = init.seed;
+
+  const data = state.data || {};
+  if (data.mode === "single" || data.mode === "dataset") dataModeSelect.value = data.mode;
+  if (DATASETS[data.dataset]) datasetSelect.value = data.dataset;
+  if (["example", "minibatch", "full"].includes(data.batchMode)) batchModeSelect.value = data.batchMode;
+  if (data.batchSize != null) batchSizeSlider.value = data.batchSize;
+  validationSplitCheckbox.checked = Boolean(data.validationSplit);
+  dataset = (Array.isArray(data.points) ? data.points : []).map(([x1, x2, label, validation]) => ({
+    ...makePoint(x1, x2, label ? 1 : 0),
+    validation: Boolean(validation),
+  }));
+  selectedExampleIndex = Math.min(Math.max(0, data.selected | 0), Math.max(0, dataset.length - 1));
+  resetBatches();
+
+  syncControlLabels();
+  renderHiddenLayerControls();
+  outputActivationSelect.innerHTML = activationOptionsHtml(architecture.activations[getLayerCount() - 1]);
+  updateLayout();
+  drawNetwork();
+  resetOptimizerState();
+  clearParamHistory();
+  resetTrainingStats();
+  renderStepList();
+  renderVariableLegend();
+  currentStep = Math.min(Math.max(0, state.step | 0), getSteps().length - 1);
+  updateDataModeUI();
+  renderStep();
+}
+
+// URL-safe base64 of the JSON text
+function encodeStateForUrl(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeStateFromUrl(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function writeStateHash() {
+  clearTimeout(stateHashTimer);
+  stateHashTimer = null;
+  history.replaceState(null, "", STATE_HASH_PREFIX + encodeStateForUrl(serializeState()));
+}
+
+// Debounced so dragging a slider doesn't rewrite the URL on every frame.
+// Auto-training skips it until the run stops.
+function scheduleStateHash() {
+  if (isTraining()) return;
+  clearTimeout(stateHashTimer);
+  stateHashTimer = setTimeout(writeStateHash, STATE_HASH_DELAY_MS);
+}
+
+function showStateStatus(message, isError = false) {
+  stateStatusEl.textContent = message;
+  stateStatusEl.classList.toggle("error", isError);
+}
+
+function loadStateFromHash() {
+  if (!location.hash.startsWith(STATE_HASH_PREFIX)) return;
+  try {
+    applyState(decodeStateFromUrl(location.hash.slice(STATE_HASH_PREFIX.length)));
+    showStateStatus("Opened the network saved in the link.");
+  } catch (error) {
+    showStateStatus(`Could not open the link: ${error.message}`, true);
+  }
+}
+
+function downloadState() {
+  downloadFile("network.json", JSON.stringify(serializeState(), null, 2), "application/json");
+  showStateStatus("Saved network.json.");
+}
+
+function loadStateFile(file) {
+  file
+    .text()
+    .then((text) => {
+      applyState(JSON.parse(text));
+      showStateStatus(`Loaded ${file.name}.`);
+    })
+    .catch((error) => {
+      showStateStatus(`Could not load ${file.name}: ${error.message}`, true);
+    });
+}
+
+// Matrix view
+// The same step written the way NumPy or PyTorch code computes it: one
+// matrix product per layer instead of one sum per neuron. Vectors are
+// columns, W of a layer is (neurons × inputs), δ = dL/dz and ⊙ multiplies
+// element-wise. The value cards become the actual matrices.
+function matrixName(layerIndex) {
+  return `W${layerSymbols(layerIndex).weight.slice(1)}`;
+}
+
+// Name of the vector feeding a layer: x, h, h1, …
+function inputVectorName(layerIndex) {
+  return layerSymbols(layerIndex).input;
+}
+
+function deltaName(layerIndex) {
+  return `δ${layerSymbols(layerIndex).sum.slice(1)}`;
+}
+
+function column(vector) {
+  return vector.map((value) => [value]);
+}
+
+function transpose(matrix) {
+  return matrix[0].map((_, col) => matrix.map((row) => row[col]));
+}
+
+function shapeText(rows, cols) {
+  return `(${rows}×${cols})`;
+}
+
+// Names for the NumPy lines: "leaky_relu", "y_hat", "delta_h"
+function numpyName(activation) {
+  return activation.label.toLowerCase().replace(/\W+/g, "_");
+}
+
+function numpyVar(name) {
+  return name.replace("ŷ", "y_hat").replace("δ", "delta");
+}
+
+// Slope of a layer's activation as it enters the backward equations
+function slopeTerm(layerIndex) {
+  const activation = activationOf(layerIndex);
+  return `${activation.symbol}'(${layerSymbols(layerIndex).sum})`;
+}
+
+// Replaces the step's equations and value cards; the title and
+// explanation stay those of the scalar view
+function renderMatrixDetails(step) {
+  const s = cache;
+  const sizes = getLayerSizes();
+  const lines = [];
+  const matrices = [];
+
+  if (step.kind === "forward") {
+    matrices.push(["x", column(s.inputVector)]);
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+      const sym = layerSymbols(layerIndex);
+      const activation = activationOf(layerIndex);
+      const W = matrixName(layerIndex);
+      const input = inputVectorName(layerIndex);
+      const [rows, cols] = [sizes[layerIndex + 1], sizes[layerIndex]];
+      lines.push(
+        `${sym.sum} = ${W} · ${input} + ${sym.bias}     ${shapeText(rows, cols)} · ${shapeText(cols, 1)} + ${shapeText(rows, 1)} → ${shapeText(rows, 1)}`,
+        `${sym.act} = ${activation.symbol}(${sym.sum})` +
+          (activation.vector ? "     over the whole vector" : "     element-wise"),
+        `  NumPy: ${sym.sum} = ${W} @ ${input} + ${sym.bias};  ${numpyVar(sym.act)} = ${numpyName(activation)}(${sym.sum})`,
+        ""
+      );
+      matrices.push(
+        [W, params.weights[layerIndex]],
+        [sym.bias, column(params.biases[layerIndex])],
+        [sym.sum, column(s.layerWeightedSums[layerIndex])],
+        [sym.act, column(s.layerActivations[layerIndex])]
+      );
+    }
+  } else if (step.kind === "loss") {
+    const outputCount = s.predictions.length;
+    const loss = currentLoss();
+    lines.push(
+      outputCount > 1 && !loss.summed ? `L = Σ_k ${indexedLossText(loss.formula).replace(/^L = /, "")}` : loss.formula,
+      `  ŷ and y are ${shapeText(outputCount, 1)}; L is a single number`,
+      "  NumPy: L = loss(y_hat, y).sum()"
+    );
+    matrices.push(["ŷ", column(s.predictions)], ["y", column(s.targets)], ["L", [[s.loss]]]);
+  } else if (step.kind === "backward") {
+    const { layerIndex } = step;
+    const sym = layerSymbols(layerIndex);
+    const activation = activationOf(layerIndex);
+    const W = matrixName(layerIndex);
+    const input = inputVectorName(layerIndex);
+    const delta = deltaName(layerIndex);
+    const [rows, cols] = [sizes[layerIndex + 1], sizes[layerIndex]];
+    const gradActivations = s.gradLossWrtLayerActivations[layerIndex];
+
+    if (isOutputLayer(layerIndex)) {
+      lines.push(`∇ŷ L = dL/dŷ     ${shapeText(rows, 1)}`);
+      matrices.push(["∇ŷ L", column(gradActivations)]);
+    } else {
+      const nextW = matrixName(layerIndex + 1);
+      const nextDelta = deltaName(layerIndex + 1);
+      const nextRows = sizes[layerIndex + 2];
+      lines.push(
+        `dL/d${sym.act} = ${nextW}ᵀ · ${nextDelta}     ${shapeText(rows, nextRows)} · ${shapeText(nextRows, 1)} → ${shapeText(rows, 1)}`
+      );
+      matrices.push(
+        [`${nextW}ᵀ`, transpose(params.weights[layerIndex + 1])],
+        [nextDelta, column(s.gradLossWrtLayerSums[layerIndex + 1])],
+        [`dL/d${sym.act}`, column(gradActivations)]
+      );
+    }
+
+    const upstream = isOutputLayer(layerIndex) ? "∇ŷ L" : `dL/d${sym.act}`;
+    if (activation.vector) {
+      const jacobian = s.layerActivations[layerIndex].map((a, row) =>
+        s.layerActivations[layerIndex].map((other, col) => a * ((row === col ? 1 : 0) - other))
+      );
+      lines.push(
+        `${delta} = Jᵀ · ${upstream}     J = diag(${sym.act}) − ${sym.act} · ${sym.act}ᵀ is ${shapeText(rows, rows)} (softmax Jacobian)`
+      );
+      matrices.push(["J", jacobian]);
+    } else {
+      lines.push(`${delta} = ${upstream} ⊙ ${slopeTerm(layerIndex)}     ${shapeText(rows, 1)} ⊙ ${shapeText(rows, 1)} → ${shapeText(rows, 1)}`);
+      matrices.push([slopeTerm(layerIndex), column(s.gradActivationWrtLayerSums[layerIndex])]);
+    }
+    if (isOutputLayer(layerIndex) && isCrossEntropyShortcut()) lines.push(`     = ŷ − y   (the cross-entropy shortcut)`);
+    lines.push(
+      `∇${W} = ${delta} · ${input}ᵀ     ${shapeText(rows, 1)} · ${shapeText(1, cols)} → ${shapeText(rows, cols)}  (outer product)`,
+      `∇${sym.bias} = ${delta}     ${shapeText(rows, 1)}`,
+      `  NumPy: ${numpyVar(delta)} = ` +
+        (activation.vector ? "J.T @ " : "") +
+        (isOutputLayer(layerIndex) ? "grad_y_hat" : `(${matrixName(layerIndex + 1)}.T @ ${numpyVar(deltaName(layerIndex + 1))})`) +
+        (activation.vector ? "" : ` * ${numpyName(activation)}_prime(${sym.sum})`) +
+        `;  grad_${W} = np.outer(${numpyVar(delta)}, ${input})`
+    );
+    matrices.push(
+      [delta, column(s.gradLossWrtLayerSums[layerIndex])],
+      [`${input}ᵀ`, [layerInputs(s, layerIndex)]],
+      [`∇${W}`, s.gradLossWrtWeights[layerIndex]],
+      [`∇${sym.bias}`, column(s.gradLossWrtBiases[layerIndex])]
+    );
+    if (s.batch) {
+      lines.push("", `The update uses the batch averages instead (${s.batch.size} examples):`, `  ∇${W} = (1/${s.batch.size}) · Σ_n ${delta}_n · ${input}_nᵀ`);
+      matrices.push([`∇${W} (batch mean)`, s.batch.gradLossWrtWeights[layerIndex]]);
+    }
+  } else if (step.kind === "update") {
+    const update = lastUpdate || previewUpdate();
+    const { optimizer, decay, oldParams, newParams, steps: parameterSteps } = update;
+    lines.push(
+      `One ${optimizer.stepName} for every layer, applied entry by entry:`,
+      decay > 0 ? `  G = ∇W + λ · W     (weight decay, λ = ${decay})` : "  G = ∇W",
+      ...(optimizer.state.length === 0
+        ? [`  W ← W − α · G     (α = ${fmtSmall(update.learningRate)})`, "  b ← b − α · ∇b", "  NumPy: W -= lr * G"]
+        : [`  W ← W + ΔW,  b ← b + Δb     (ΔW, Δb from the ${optimizer.label} rule, per entry)`, "  NumPy: W += delta_W"])
+    );
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+      const sym = layerSymbols(layerIndex);
+      const W = matrixName(layerIndex);
+      matrices.push(
+        [`${W} (old)`, oldParams.weights[layerIndex]],
+        [`G for ${W}`, parameterSteps.weights[layerIndex].map((row) => row.map((entry) => entry.gradient))],
+        [`Δ${W}`, parameterSteps.weights[layerIndex].map((row) => row.map((entry) => entry.delta))],
+        [`${W} (new)`, newParams.weights[layerIndex]],
+        [`${sym.bias} (old)`, column(oldParams.biases[layerIndex])],
+        [`${sym.bias} (new)`, column(newParams.biases[layerIndex])]
+      );
+    }
+  }
+
+  equationsEl.textContent = lines.join("\n");
+  renderMatrices(matrices);
+}
+
+// One card per matrix: its name, shape and entries
+function renderMatrices(matrices) {
+  valuesTableEl.innerHTML = "";
+  matrices.forEach(([name, matrix]) => {
+    const card = document.createElement("div");
+    card.className = "value-card matrix-card";
+    if (matrix[0].length > 2) card.classList.add("wide");
+
+    const labelEl = document.createElement("div");
+    labelEl.className = "label";
+    labelEl.textContent = `${name}  ${shapeText(matrix.length, matrix[0].length)}`;
+
+    const table = document.createElement("table");
+    table.className = "matrix";
+    matrix.forEach((row) => {
+      const tr = document.createElement("tr");
+      row.forEach((value) => {
+        const td = document.createElement("td");
+        td.textContent = fmt(value);
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    card.append(labelEl, table);
+    valuesTableEl.appendChild(card);
+  });
+}
+
+// Report export
+// The whole walkthrough for the current example as one document, for
+// homework or printing: every step's explanation and equations, the same
+// equations with the numbers filled in, and its values. The Markdown file
+// writes the worked equations in LaTeX; the HTML file embeds the diagram.
+
+// Worked-equation text → LaTeX. Covers only the notation used in the
+// worked lines: names like w_ih[1,2], dL/d…, ŷ, subscript digits and the
+// activation and loss symbols.
+function toTex(text) {
+  return text
+    .replace(/dL\/d([^\s·=()]+)/g, (_, name) => `\\frac{\\partial L}{\\partial ${name}}`)
+    .replace(/(?<!Σ)_([A-Za-z0-9]+)/g, "_{\\mathrm{$1}}")
+    .replace(/Σ_/g, "\\sum_")
+    .replace(/[₀-₉]+/g, (digits) => `_{${Array.from(digits, (digit) => SUBSCRIPT_DIGITS.indexOf(digit)).join("")}}`)
+    .replace(/ŷ/g, "\\hat{y}")
+    .replace(/σ/g, "\\sigma")
+    .replace(/δ/g, "\\delta")
+    .replace(/\b(tanh|ln)\(/g, "\\$1(")
+    .replace(/\b(LReLU|ReLU|softmax|sign|id)\(/g, "\\operatorname{$1}(")
+    .replace(/ ?· ?/g, " \\cdot ")
+    .replace(/−/g, "-")
+    .replace(/²/g, "^2")
+    .replace(/½/g, "\\tfrac{1}{2}")
+    .replace(/≤/g, "\\le")
+    .replace(/←/g, "\\leftarrow")
+    .replace(/\b(if|else)\b/g, "\\text{ $1 }");
+}
+
+// A loss or gradient text with one output's prediction and target put in
+// for ŷ and y (the summed categorical form is written per output).
+function lossTextWithNumbers(text, prediction, target) {
+  return text
+    .replace(/^L = /, "")
+    .replace(/\s+\(δ = [^)]*\)$/, "")
+    .replace(/Σ_k /g, "")
+    .replace(/\[k\]/g, "")
+    .replace(/ŷ/g, fmtFactor(prediction))
+    .replace(/\by\b/g, fmtFactor(target));
+}
+
+// "z_h[2]" → "z_h": the name of the whole layer's vector
+function allNeurons(name) {
+  return name.replace(/\[\d+\]$/, "");
+}
+
+// The equations of one step written out with the current numbers,
+// one line per quantity, in the notation of the equations panel
+function workedEquations(step) {
+  const s = cache;
+  const lines = [];
+  if (step.kind === "forward") {
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+      const activation = activationOf(layerIndex);
+      s.layerWeightedSums[layerIndex].forEach((sum, neuronIndex) => {
+        const terms = weightedSumTerms(layerIndex, neuronIndex);
+        const sumText = sumName(layerIndex, neuronIndex);
+        lines.push(`${sumText} = ${terms.symbolic} = ${terms.numeric} = ${fmt(sum)}`);
+        // softmax(z)[j] takes the whole layer's sums
+        const argument = activation.vector ? `${allNeurons(sumText)})${sumText.slice(allNeurons(sumText).length)}` : `${sumText})`;
+        lines.push(
+          `${activationName(layerIndex, neuronIndex)} = ${activation.symbol}(${argument} = ` +
+            `${fmt(s.layerActivations[layerIndex][neuronIndex])}`
+        );
+      });
+    }
+  } else if (step.kind === "loss") {
+    const loss = currentLoss();
+    const terms = s.predictions.map((prediction, outputIndex) =>
+      lossTextWithNumbers(loss.formula, prediction, s.targets[outputIndex])
+    );
+    if (s.predictions.length === 1) {
+      lines.push(`L = ${terms[0]} = ${fmt(s.loss)}`);
+    } else {
+      terms.forEach((term, outputIndex) => {
+        lines.push(`L_${outputIndex + 1} = ${term} = ${fmt(s.outputLosses[outputIndex])}`);
+      });
+      lines.push(`L = ${s.outputLosses.map((_, outputIndex) => `L_${outputIndex + 1}`).join(" + ")} = ${fmt(s.loss)}`);
     }
-    renderValues(pairs);
-  } else if (currentStep === 4) {
-    // Snapshot old weights and loss, then take one update step
-    const oldLoss = s.loss;
-    const oldParams = JSON.parse(JSON.stringify(params));
+  } else if (step.kind === "backward") {
+    const { layerIndex } = step;
+    const activation = activationOf(layerIndex);
+    const inputs = layerInputs(s, layerIndex);
+    const gradActivations = s.gradLossWrtLayerActivations[layerIndex];
+    const activations = s.layerActivations[layerIndex];
+    const dot = activations.reduce((total, a, neuronIndex) => total + a * gradActivations[neuronIndex], 0);
 
-    applyGradientDescent();
-    computeForward();
-    const newLoss = cache.loss;
+    gradActivations.forEach((gradActivation, neuronIndex) => {
+      const gradName = `dL/d${activationName(layerIndex, neuronIndex)}`;
+      if (isOutputLayer(layerIndex)) {
+        const gradientText = lossTextWithNumbers(
+          currentLoss().gradientText,
+          s.predictions[neuronIndex],
+          s.targets[neuronIndex]
+        );
+        lines.push(`${gradName} = ${gradientText} = ${fmt(gradActivation)}`);
+      } else {
+        const nextWeights = params.weights[layerIndex + 1];
+        const symbolic = nextWeights
+          .map((row, nextIndex) => `dL/d${sumName(layerIndex + 1, nextIndex)} · ${weightRef(layerIndex + 1, nextIndex + 1, neuronIndex + 1)}`)
+          .join(" + ");
+        const numeric = nextWeights
+          .map((row, nextIndex) => `${fmtFactor(s.gradLossWrtLayerSums[layerIndex + 1][nextIndex])} · ${fmtFactor(row[neuronIndex])}`)
+          .join(" + ");
+        lines.push(`${gradName} = ${symbolic} = ${numeric} = ${fmt(gradActivation)}`);
+      }
+    });
 
-    stepTitleEl.textContent = "5. Update: take one gradient descent step";
-    equationsEl.textContent = [
-      "Gradient descent update rule (for any weight w):",
-      "  w_new = w_old − α · dL/dw",
-      "",
-      "Changing the number of hidden neurons changes how many weights",
-      "we update, but the idea is always the same.",
-    ].join("\n");
+    s.gradLossWrtLayerSums[layerIndex].forEach((gradSum, neuronIndex) => {
+      const gradName = `dL/d${sumName(layerIndex, neuronIndex)}`;
+      const act = activationName(layerIndex, neuronIndex);
+      if (activation.vector) {
+        const actM = `${allNeurons(act)}[m]`;
+        lines.push(
+          `${gradName} = ${act} · (dL/d${act} − Σ_m dL/d${actM} · ${actM}) = ` +
+            `${fmtFactor(activations[neuronIndex])} · (${fmtFactor(gradActivations[neuronIndex])} − ${fmtFactor(dot)}) = ${fmt(gradSum)}`
+        );
+      } else {
+        const slope = s.gradActivationWrtLayerSums[layerIndex][neuronIndex];
+        const z = s.layerWeightedSums[layerIndex][neuronIndex];
+        const slopeText = activation.derivative(sumName(layerIndex, neuronIndex));
+        const slopeNumbers = activation.derivative(fmtFactor(z));
+        lines.push(
+          `${activation.symbol}'(${sumName(layerIndex, neuronIndex)}) = ${slopeText} = ` +
+            `${slopeNumbers === slopeText ? "" : `${slopeNumbers} = `}${fmt(slope)}`
+        );
+        lines.push(
+          `${gradName} = dL/d${act} · ${activation.symbol}'(${sumName(layerIndex, neuronIndex)}) = ` +
+            `${fmtFactor(gradActivations[neuronIndex])} · ${fmtFactor(slope)} = ${fmt(gradSum)}`
+        );
+      }
+      inputs.forEach((input, inputIndex) => {
+        lines.push(
+          `dL/d${weightRef(layerIndex, neuronIndex + 1, inputIndex + 1)} = ${gradName} · ${inputName(layerIndex, inputIndex)} = ` +
+            `${fmtFactor(gradSum)} · ${fmtFactor(input)} = ${fmt(s.gradLossWrtWeights[layerIndex][neuronIndex][inputIndex])}`
+        );
+      });
+      lines.push(`dL/d${biasRef(layerIndex, neuronIndex + 1)} = ${gradName} = ${fmt(s.gradLossWrtBiases[layerIndex][neuronIndex])}`);
+    });
+  } else if (step.kind === "update") {
+    const { oldParams, newParams, steps: parameterSteps } = previewUpdate();
+    for (let layerIndex = 0; layerIndex < getLayerCount(); layerIndex++) {
+      newParams.weights[layerIndex].forEach((row, neuronIndex) => {
+        row.forEach((weight, inputIndex) => {
+          lines.push(
+            `${weightRef(layerIndex, neuronIndex + 1, inputIndex + 1)} ← ` +
+              `${fmt(oldParams.weights[layerIndex][neuronIndex][inputIndex])} + ` +
+              `${fmtFactor(parameterSteps.weights[layerIndex][neuronIndex][inputIndex].delta)} = ${fmt(weight)}`
+          );
+        });
+        lines.push(
+          `${biasRef(layerIndex, neuronIndex + 1)} ← ${fmt(oldParams.biases[layerIndex][neuronIndex])} + ` +
+            `${fmtFactor(parameterSteps.biases[layerIndex][neuronIndex].delta)} = ${fmt(newParams.biases[layerIndex][neuronIndex])}`
+        );
+      });
+    }
+  }
+  return lines;
+}
 
-    stepExplainerEl.textContent =
-      "Finally, we move every weight and bias a small step in the direction " +
-      "that reduces the loss. Repeating this step many times is what training is.";
+// Network, example, loss and optimizer the report was made for
+function reportSetup() {
+  const sizes = getLayerSizes();
+  const network = sizes
+    .map((size, index) => (index === 0 ? `${size}` : `${size} (${activationOf(index - 1).label})`))
+    .join(" → ");
+  const decay = parseFloat(weightDecaySlider.value);
+  return [
+    ["Network", `${network} neurons`],
+    ["Example", `x = (${cache.inputVector.map((x) => fmt(x)).join(", ")}), y = (${cache.targets.map((y) => fmt(y)).join(", ")})`],
+    ["Loss", `${currentLoss().label}: ${currentLoss().formula}`],
+    [
+      "Optimizer",
+      `${currentOptimizer().label}, α = ${lrSlider.value}` +
+        (currentSchedule() === LR_SCHEDULES.constant ? "" : ` (${currentSchedule().label.toLowerCase()}: ${currentSchedule().formula})`) +
+        (decay > 0 ? `, weight decay λ = ${decay}` : "") +
+        (cache.batch ? `, averaged over a batch of ${cache.batch.size}` : ""),
+    ],
+    ["Initial weights", `${currentInitScheme().label}, seed ${initSeedInput.value}`],
+  ];
+}
 
-    stepExplainerEl.textContent =
-      "Below you can see every weight and bias before and after " +
-      "this step (shown as old → new). Each step nudges them a bit.";
+// Renders every step in turn into the walkthrough panel and reads back
+// what it shows, then puts the current step back. The update step is
+// always the one still to be taken, so all numbers belong to the same weights.
+function buildReport() {
+  const steps = getSteps();
+  const appliedUpdate = lastUpdate;
+  lastUpdate = null;
+  const sections = steps.map((step, index) => {
+    renderStepDetails(step, index + 1);
+    return {
+      title: stepTitleEl.textContent,
+      explainer: stepExplainerEl.textContent,
+      equations: equationsEl.textContent,
+      worked: workedEquations(step),
+      values: Array.from(valuesTableEl.querySelectorAll(".value-card"), (card) => ({
+        label: card.querySelector(".label").textContent,
+        value: card.querySelector(".val").textContent,
+        detail: card.querySelector(".detail") ? card.querySelector(".detail").textContent : "",
+      })),
+    };
+  });
+  lastUpdate = appliedUpdate;
+  renderStepPanel(steps[currentStep], currentStep + 1);
+  return { setup: reportSetup(), sections };
+}
 
-    const v = [];
-    v.push(["Old loss", oldLoss]);
-    v.push(["New loss", newLoss]);
+function markdownCell(text) {
+  return text.replace(/\|/g, "\\|");
+}
 
-    // Show how each weight and bias changed: old → new
-    for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-      for (let inputIndex = 0; inputIndex < architecture.inputCount; inputIndex++) {
-        v.push([
-          `w_ih${hiddenIndex + 1},${inputIndex + 1}`,
-          `${fmt(oldParams.inputToHiddenWeights[hiddenIndex][inputIndex])} → ` +
-            `${fmt(params.inputToHiddenWeights[hiddenIndex][inputIndex])}`,
-        ]);
-      }
-      v.push([
-        `b_h${hiddenIndex + 1}`,
-        `${fmt(oldParams.hiddenBiases[hiddenIndex])} → ` +
-          `${fmt(params.hiddenBiases[hiddenIndex])}`,
-      ]);
+function reportMarkdown({ setup, sections }) {
+  const out = ["# Backpropagation worked example", ""];
+  setup.forEach(([label, text]) => out.push(`- **${label}:** ${markdownCell(text)}`));
+  sections.forEach((section) => {
+    out.push("", `## ${section.title}`, "", section.explainer, "", "```text", section.equations, "```");
+    if (section.worked.length > 0) {
+      out.push("", "With the numbers:", "");
+      section.worked.forEach((line) => out.push(`$$${toTex(line)}$$`, ""));
     }
-
-    for (let hiddenIndex = 0; hiddenIndex < hiddenNeuronCount; hiddenIndex++) {
-      v.push([
-        `w_ho${hiddenIndex + 1}`,
-        `${fmt(oldParams.hiddenToOutputWeights[hiddenIndex])} → ` +
-          `${fmt(params.hiddenToOutputWeights[hiddenIndex])}`,
-      ]);
+    if (section.values.length > 0) {
+      const withDetail = section.values.some((row) => row.detail);
+      out.push("", withDetail ? "| Quantity | Value | Detail |" : "| Quantity | Value |");
+      out.push(withDetail ? "| --- | --- | --- |" : "| --- | --- |");
+      section.values.forEach((row) => {
+        const cells = [row.label, row.value, ...(withDetail ? [row.detail] : [])];
+        out.push(`| ${cells.map(markdownCell).join(" | ")} |`);
+      });
     }
-    v.push([
-      "b_o",
-      `${fmt(oldParams.outputBias)} → ${fmt(params.outputBias)}`,
-    ]);
+  });
+  return out.join("\n").replace(/\n{3,}/g, "\n\n") + "\n";
+}
 
-    renderValues(v, ["Old loss", "New loss"]);
-  }
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
 
-function renderValues(pairs, highlightLabels = []) {
-  valuesTableEl.innerHTML = "";
-  pairs.forEach(([label, value]) => {
-    const card = document.createElement("div");
-    card.className = "value-card";
-    if (highlightLabels.includes(label)) card.classList.add("highlight");
+// The diagram as drawn, without the flow animation and path highlights
+function networkSvgMarkup() {
+  const copy = svg.cloneNode(true);
+  copy.removeAttribute("id");
+  copy.querySelectorAll(".flow-layer, .conn-hit").forEach((el) => el.remove());
+  copy.querySelectorAll(".conn-path, .neuron-path, .neuron-highlight").forEach((el) => {
+    el.classList.remove("conn-path", "neuron-path", "neuron-highlight");
+  });
+  copy.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  return copy.outerHTML;
+}
 
-    const labelEl = document.createElement("div");
-    labelEl.className = "label";
-    labelEl.textContent = label;
+const REPORT_CSS = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #111827; max-width: 820px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.2rem; }
+  h3 { font-size: 0.95rem; margin-bottom: 0.3rem; }
+  figure { margin: 1rem 0; padding: 0.5rem; background: #020617; border-radius: 8px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  figure svg { display: block; width: 100%; height: auto; }
+  pre { background: #f3f4f6; padding: 0.6rem 0.8rem; border-radius: 6px; font-size: 0.8rem; white-space: pre-wrap; }
+  table { border-collapse: collapse; font-size: 0.8rem; margin-top: 0.6rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.2rem 0.5rem; text-align: left; }
+  td:nth-child(2) { font-family: ui-monospace, monospace; white-space: nowrap; }
+  section { break-inside: avoid-page; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+`;
 
-    const valEl = document.createElement("div");
-    valEl.className = "val";
-    if (typeof value === "number") {
-      valEl.textContent = fmt(value);
-    } else {
-      valEl.textContent = String(value);
+function reportHtml({ setup, sections }) {
+  const body = [
+    "<h1>Backpropagation worked example</h1>",
+    `<ul>${setup.map(([label, text]) => `<li><strong>${label}:</strong> ${escapeHtml(text)}</li>`).join("")}</ul>`,
+    `<figure>${networkSvgMarkup()}</figure>`,
+  ];
+  sections.forEach((section) => {
+    const withDetail = section.values.some((row) => row.detail);
+    body.push(
+      "<section>",
+      `<h2>${escapeHtml(section.title)}</h2>`,
+      `<p>${escapeHtml(section.explainer)}</p>`,
+      `<pre>${escapeHtml(section.equations)}</pre>`,
+      ...(section.worked.length > 0
+        ? ["<h3>With the numbers</h3>", `<pre>${escapeHtml(section.worked.join("\n"))}</pre>`]
+        : []),
+      ...(section.values.length > 0
+        ? [
+            "<table>",
+            `<tr><th>Quantity</th><th>Value</th>${withDetail ? "<th>Detail</th>" : ""}</tr>`,
+            ...section.values.map(
+              (row) =>
+                `<tr><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.value)}</td>` +
+                `${withDetail ? `<td>${escapeHtml(row.detail)}</td>` : ""}</tr>`
+            ),
+            "</table>",
+          ]
+        : []),
+      "</section>"
+    );
+  });
+  return (
+    '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8" />\n' +
+    `<title>Backpropagation worked example</title>\n<style>${REPORT_CSS}</style>\n</head>\n<body>\n` +
+    `${body.join("\n")}\n</body>\n</html>\n`
+  );
+}
+
+function downloadFile(fileName, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Practice mode
+// The value cards of the current step become answer fields, checked
+// against cache. Each wrong answer brings up the next hint from the step's
+// worked equations; once they run out the value is shown. Inputs, targets
+// and anything without a worked equation (batch or new loss) stay given.
+const PRACTICE_ABS_TOLERANCE = 0.0005;
+const PRACTICE_REL_TOLERANCE = 0.01;
+
+const practice = {
+  solved: new Map(), // "step|label" → "correct" or "revealed" in this round
+  misses: new Map(), // "step|label" → wrong answers so far in this round
+  drafts: new Map(), // typed answers not checked yet
+  correct: 0,        // session score
+  answered: 0,
+  round: 1,
+};
+
+// The worked equation computing a card's value: the longest left-hand
+// side named in its label, so "Grad dL/dz_h[1]" does not match z_h[1]
+function workedLineFor(label, lines) {
+  let best = null;
+  lines.forEach((line) => {
+    const name = line.split(" = ")[0];
+    if (label.includes(name) && (!best || name.length > best.split(" = ")[0].length)) best = line;
+  });
+  return best;
+}
+
+// "a = b = c = 0.12" → ["a = b", "a = b = c"]: each hint shows one more part
+function practiceHints(line) {
+  const parts = line.split(" = ");
+  return parts.slice(2).map((_, index) => parts.slice(0, index + 2).join(" = "));
+}
+
+function renderPractice(step) {
+  practiceBarEl.hidden = !practiceCheckbox.checked;
+  if (!practiceCheckbox.checked) return;
+  practiceScoreEl.textContent =
+    `Round ${practice.round} · score ${practice.correct} / ${practice.answered}` +
+    (practice.answered > 0 ? ` (${Math.round((100 * practice.correct) / practice.answered)}%)` : "");
+
+  const lines = workedEquations(step);
+  valuesTableEl.querySelectorAll(".value-card").forEach((card) => {
+    if (card.dataset.value === undefined) return;
+    const label = card.querySelector(".label").textContent;
+    const line = workedLineFor(label, lines);
+    if (!line) return;
+
+    const key = `${currentStep}|${label}`;
+    const status = practice.solved.get(key);
+    if (status) {
+      card.classList.add(`practice-${status}`);
+      if (status === "revealed") setCardDetail(card, line);
+      return;
     }
 
-    card.appendChild(labelEl);
-    card.appendChild(valEl);
-    valuesTableEl.appendChild(card);
+    const hints = practiceHints(line);
+    const misses = practice.misses.get(key) || 0;
+    card.dataset.practiceKey = key;
+    card.dataset.hintCount = String(hints.length);
+    const valEl = card.querySelector(".val");
+    valEl.innerHTML = "";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.inputMode = "decimal";
+    input.className = "number-input practice-input";
+    input.placeholder = "?";
+    input.value = practice.drafts.get(key) || "";
+    const checkButton = document.createElement("button");
+    checkButton.type = "button";
+    checkButton.className = "btn secondary btn-small practice-check";
+    checkButton.textContent = "Check";
+    valEl.append(input, checkButton);
+    if (misses > 0) {
+      card.classList.add("practice-wrong");
+      setCardDetail(card, `Not quite. Hint: ${hints[misses - 1]} = ?`);
+    }
   });
 }
 
+function setCardDetail(card, text) {
+  let detailEl = card.querySelector(".detail");
+  if (!detailEl) {
+    detailEl = document.createElement("div");
+    detailEl.className = "detail";
+    card.appendChild(detailEl);
+  }
+  detailEl.textContent = text;
+}
+
+function checkPracticeAnswer(card) {
+  const key = card.dataset.practiceKey;
+  const guess = parseFloat(card.querySelector(".practice-input").value.replace("−", "-"));
+  if (Number.isNaN(guess)) return;
+  const answer = parseFloat(card.dataset.value);
+  const tolerance = Math.max(PRACTICE_ABS_TOLERANCE, PRACTICE_REL_TOLERANCE * Math.abs(answer));
+
+  practice.drafts.delete(key);
+  if (Math.abs(guess - answer) <= tolerance) {
+    practice.solved.set(key, "correct");
+    practice.correct += 1;
+    practice.answered += 1;
+  } else {
+    const misses = (practice.misses.get(key) || 0) + 1;
+    practice.misses.set(key, misses);
+    if (misses > parseInt(card.dataset.hintCount, 10)) {
+      practice.solved.set(key, "revealed");
+      practice.answered += 1;
+    }
+  }
+  renderStep();
+  const next = valuesTableEl.querySelector(".practice-input");
+  if (next) next.focus();
+}
+
+function randomSliderValue(slider) {
+  const min = parseFloat(slider.min);
+  const step = parseFloat(slider.step);
+  const stepCount = Math.round((parseFloat(slider.max) - min) / step);
+  const decimals = (slider.step.split(".")[1] || "").length;
+  return (min + step * Math.floor(Math.random() * (stepCount + 1))).toFixed(decimals);
+}
+
+// A fresh round: new seed for the weights, and random inputs and targets
+// (or a random data point in dataset mode), starting again at step 1
+function startPracticeRound() {
+  initSeedInput.value = String(Math.floor(Math.random() * 1000000));
+  if (isDatasetMode()) {
+    if (dataset.length > 0) selectExample(Math.floor(Math.random() * dataset.length));
+  } else {
+    inputSliders().forEach((slider) => {
+      slider.value = randomSliderValue(slider);
+    });
+    targetSliders().forEach((slider) => {
+      slider.value = randomSliderValue(slider);
+    });
+    targetClassSelect.value = String(Math.floor(Math.random() * architecture.outputCount));
+    syncControlLabels();
+  }
+  practice.solved.clear();
+  practice.misses.clear();
+  practice.drafts.clear();
+  practice.round += 1;
+  resetWeights();
+}
+
 // Event wiring
-[inputX1, inputX2, targetY].forEach((slider) => {
-  slider.addEventListener("input", () => {
-    inputX1Val.textContent = parseFloat(inputX1.value).toFixed(2);
-    inputX2Val.textContent = parseFloat(inputX2.value).toFixed(2);
-    targetYVal.textContent = parseFloat(targetY.value).toFixed(2);
-    // Batch expensive recomputation to keep dragging smooth
-    requestRender();
-  });
+svg.addEventListener("click", onNetworkClick);
+
+matrixViewCheckbox.addEventListener("change", () => {
+  renderStep();
+});
+
+practiceCheckbox.addEventListener("change", () => {
+  renderStep();
+});
+
+btnNewRound.addEventListener("click", () => {
+  startPracticeRound();
+});
+
+valuesTableEl.addEventListener("click", (event) => {
+  if (event.target.matches(".practice-check")) checkPracticeAnswer(event.target.closest(".value-card"));
+});
+
+valuesTableEl.addEventListener("keydown", (event) => {
+  if (event.key === "Enter" && event.target.matches(".practice-input")) {
+    checkPracticeAnswer(event.target.closest(".value-card"));
+  }
+});
+
+valuesTableEl.addEventListener("input", (event) => {
+  if (event.target.matches(".practice-input")) {
+    practice.drafts.set(event.target.closest(".value-card").dataset.practiceKey, event.target.value);
+  }
+});
+
+animateFlowCheckbox.addEventListener("change", () => {
+  flowControlsEl.hidden = !animateFlowCheckbox.checked;
+  replayFlowAnimation();
+});
+
+flowGranularitySelect.addEventListener("change", () => {
+  replayFlowAnimation();
+});
+
+flowSpeedSlider.addEventListener("input", () => {
+  flowSpeedVal.textContent = `${flowSpeed()}×`;
+});
+
+btnReplayFlow.addEventListener("click", () => {
+  replayFlowAnimation();
+});
+
+btnCloseInspector.addEventListener("click", () => {
+  inspected = null;
+  renderInspector();
+});
+
+document.addEventListener("keydown", (event) => {
+  if (event.key === "Escape" && inspected) {
+    inspected = null;
+    renderInspector();
+  }
+});
+
+targetY.addEventListener("input", () => {
+  targetYVal.textContent = parseFloat(targetY.value).toFixed(2);
+  // Batch expensive recomputation to keep dragging smooth
+  requestRender();
+});
+
+inputCountSlider.addEventListener("input", () => {
+  architecture.inputCount = parseInt(inputCountSlider.value, 10);
+  inputCountVal.textContent = inputCountSlider.value;
+  renderInputControls();
+  onArchitectureChange();
 });
 
 lrSlider.addEventListener("input", () => {
   lrVal.textContent = parseFloat(lrSlider.value).toFixed(2);
+  drawLrFinder();
+  requestRender();
 });
 
-hiddenCountSlider.addEventListener("input", () => {
-  const H = parseInt(hiddenCountSlider.value, 10);
-  architecture.hiddenNeuronCount = H;
-  hiddenCountVal.textContent = String(H);
-  updateLayout();
-  drawNetwork();
-  initParams();
+lrScheduleSelect.addEventListener("change", () => {
+  requestRender();
+});
+
+lossSelect.addEventListener("change", () => {
+  requestRender();
+});
+
+// Switching optimizer keeps the weights but starts its state from zero
+optimizerSelect.addEventListener("change", () => {
+  resetOptimizerState();
+  lastUpdate = null;
+  requestRender();
+});
+
+weightDecaySlider.addEventListener("input", () => {
+  weightDecayVal.textContent = parseFloat(weightDecaySlider.value).toFixed(3);
+  requestRender();
+});
+
+// A softmax head and categorical cross-entropy belong together, so
+// forming one picks that loss, and leaving it falls back to binary
+// cross-entropy.
+function pairLossWithOutputHead() {
+  if (isSoftmaxHead()) lossSelect.value = "categorical";
+  else if (lossSelect.value === "categorical") lossSelect.value = "bce";
+}
+
+outputActivationSelect.addEventListener("change", () => {
+  architecture.activations[getLayerCount() - 1] = outputActivationSelect.value;
+  pairLossWithOutputHead();
+  renderTargetControls();
+  onActivationChange();
+});
+
+outputCountSlider.addEventListener("input", () => {
+  architecture.outputCount = parseInt(outputCountSlider.value, 10);
+  outputCountVal.textContent = outputCountSlider.value;
+  pairLossWithOutputHead();
+  renderTargetControls();
+  onArchitectureChange();
+});
+
+targetClassSelect.addEventListener("change", () => {
+  requestRender();
+});
+
+mapOutputSelect.addEventListener("change", () => {
+  requestRender();
+});
+
+dataModeSelect.addEventListener("change", () => {
+  if (dataModeSelect.value === "dataset" && dataset.length === 0) generateDataset();
+  resetTrainingStats();
+  updateDataModeUI();
+  requestRender();
+});
+
+datasetSelect.addEventListener("change", () => {
+  generateDataset();
+  updateDataModeUI();
+  requestRender();
+});
+
+btnRegenerate.addEventListener("click", () => {
+  generateDataset();
+  updateDataModeUI();
+  requestRender();
+});
+
+batchModeSelect.addEventListener("change", () => {
+  resetBatches();
+  updateDataModeUI();
+  requestRender();
+});
+
+validationSplitCheckbox.addEventListener("change", () => {
+  assignValidationSplit();
+  resetBatches();
+  resetTrainingStats();
+  requestRender();
+});
+
+gradientCheckEpsilonInput.addEventListener("input", () => {
+  requestRender();
+});
+
+[landscapeXSelect, landscapeYSelect, landscapeSpanSelect].forEach((select) => {
+  select.addEventListener("change", () => {
+    requestRender();
+  });
+});
+
+hiddenMapsCheckbox.addEventListener("change", () => {
+  requestRender();
+});
+
+lossLogScaleCheckbox.addEventListener("change", () => {
+  drawLossChart();
+  if (compareRun) drawCompareChart();
+});
+
+lossSmoothingSlider.addEventListener("input", () => {
+  drawLossChart();
+});
+
+// Run B starts out with run A's optimizer and schedule, so only α differs
+compareCheckbox.addEventListener("change", () => {
+  if (compareCheckbox.checked) {
+    compareOptimizerSelect.value = currentOptimizerKey();
+    compareScheduleSelect.value = lrScheduleSelect.value;
+  }
+  restartComparison();
+  requestRender();
+});
+
+[compareLrInput, compareOptimizerSelect, compareScheduleSelect, compareHiddenInput].forEach((control) => {
+  control.addEventListener("change", () => {
+    restartComparison();
+    requestRender();
+  });
+});
+
+btnCompareRestart.addEventListener("click", () => {
+  restartComparison();
+  requestRender();
+});
+
+btnLrFinder.addEventListener("click", () => {
+  startLrFinder();
+});
+
+btnUseLr.addEventListener("click", () => {
+  useSuggestedLearningRate();
+});
+
+batchSizeSlider.addEventListener("input", () => {
+  batchSizeVal.textContent = batchSizeSlider.value;
+  resetBatches();
+  requestRender();
+});
+
+// Clicking a point selects it for the walkthrough; clicking empty
+// space adds a new point with the chosen label.
+datasetSvg.addEventListener("click", (event) => {
+  const index = event.target.dataset ? event.target.dataset.index : undefined;
+  if (index != null) {
+    selectExample(parseInt(index, 10));
+    requestRender();
+    return;
+  }
+
+  const rect = datasetSvg.getBoundingClientRect();
+  const x = plotToPlane(((event.clientX - rect.left) / rect.width) * DATASET_PLOT_SIZE, "x");
+  const y = plotToPlane(((event.clientY - rect.top) / rect.height) * DATASET_PLOT_SIZE, "y");
+  const point = makePoint(x, y, parseInt(clickLabelSelect.value, 10));
+  point.validation = validationSplitCheckbox.checked && Math.random() < VALIDATION_FRACTION;
+  dataset.push(point);
+  resetBatches();
+  updateDataModeUI();
+  selectExample(dataset.length - 1);
   requestRender();
 });
 
+btnRemovePoint.addEventListener("click", () => {
+  if (dataset.length === 0) return;
+  dataset.splice(selectedExampleIndex, 1);
+  selectedExampleIndex = Math.max(0, Math.min(selectedExampleIndex, dataset.length - 1));
+  resetBatches();
+  updateDataModeUI();
+  requestRender();
+});
+
+btnClearPoints.addEventListener("click", () => {
+  dataset = [];
+  selectedExampleIndex = 0;
+  resetBatches();
+  updateDataModeUI();
+  requestRender();
+});
+
+btnAddLayer.addEventListener("click", () => {
+  if (architecture.hiddenLayerSizes.length >= MAX_HIDDEN_LAYERS) return;
+  // New layers start with the same activation as the last hidden layer
+  const hiddenLayerCount = architecture.hiddenLayerSizes.length;
+  architecture.activations.splice(hiddenLayerCount, 0, architecture.activations[hiddenLayerCount - 1]);
+  architecture.hiddenLayerSizes.push(2);
+  renderHiddenLayerControls();
+  onArchitectureChange();
+});
+
 btnPrev.addEventListener("click", () => {
+  // Stepping back over an applied update also takes it back
+  if (getSteps()[currentStep].kind === "update" && lastUpdate) undoParams();
   currentStep = Math.max(0, currentStep - 1);
   renderStep();
 });
 
 btnNext.addEventListener("click", () => {
-  currentStep = Math.min(4, currentStep + 1);
+  const lastStep = getSteps().length - 1;
+  // After an applied update, the next step is the next forward pass
+  currentStep = currentStep === lastStep && lastUpdate ? 0 : Math.min(lastStep, currentStep + 1);
   renderStep();
 });
 
-btnReset.addEventListener("click", () => {
+btnApply.addEventListener("click", () => {
+  applyUpdate();
+  renderStep();
+});
+
+btnUndo.addEventListener("click", () => {
+  if (undoParams()) renderStep();
+});
+
+btnRedo.addEventListener("click", () => {
+  if (redoParams()) renderStep();
+});
+
+// Fresh weights from the chosen init scheme and seed
+function resetWeights() {
   initParams();
+  clearParamHistory();
+  resetTrainingStats();
   currentStep = 0;
   renderStep();
+}
+
+btnReset.addEventListener("click", () => {
+  resetWeights();
+});
+
+initSchemeSelect.addEventListener("change", () => {
+  initNoteEl.textContent = currentInitScheme().note;
+  resetWeights();
+});
+
+initSeedInput.addEventListener("change", () => {
+  resetWeights();
+});
+
+btnNewSeed.addEventListener("click", () => {
+  initSeedInput.value = String(Math.floor(Math.random() * 1000000));
+  resetWeights();
+});
+
+paramEditorEl.addEventListener("toggle", () => {
+  renderParamEditor();
+});
+
+paramEditorGridEl.addEventListener("change", (event) => {
+  if (event.target.matches("input")) onParamEdited(event.target);
+});
+
+btnPlay.addEventListener("click", () => {
+  startTraining(Infinity);
+});
+
+btnPause.addEventListener("click", () => {
+  stopTraining();
+});
+
+btnTrainSteps.addEventListener("click", () => {
+  const iterations = parseInt(trainStepsInput.value, 10);
+  if (iterations > 0) startTraining(iterations);
+});
+
+trainSpeedSlider.addEventListener("input", () => {
+  renderTrainingStatus();
+});
+
+btnSaveState.addEventListener("click", () => {
+  downloadState();
+});
+
+btnExportMarkdown.addEventListener("click", () => {
+  downloadFile("backprop-walkthrough.md", reportMarkdown(buildReport()), "text/markdown");
+  showStateStatus("Saved backprop-walkthrough.md.");
+});
+
+btnExportHtml.addEventListener("click", () => {
+  downloadFile("backprop-walkthrough.html", reportHtml(buildReport()), "text/html");
+  showStateStatus("Saved backprop-walkthrough.html. Open it and print to get a PDF.");
+});
+
+btnLoadState.addEventListener("click", () => {
+  stateFileInput.click();
+});
+
+stateFileInput.addEventListener("change", () => {
+  if (stateFileInput.files.length > 0) loadStateFile(stateFileInput.files[0]);
+  stateFileInput.value = "";
+});
+
+btnCopyLink.addEventListener("click", () => {
+  writeStateHash();
+  navigator.clipboard
+    .writeText(location.href)
+    .then(() => showStateStatus("Link copied. It opens this network on the current step."))
+    .catch(() => showStateStatus("The link is in the address bar; copy it from there."));
+});
+
+window.addEventListener("hashchange", () => {
+  loadStateFromHash();
 });
 
 // Initialize
-function initUI() {
-  inputX1Val.textContent = parseFloat(inputX1.value).toFixed(2);
-  inputX2Val.textContent = parseFloat(inputX2.value).toFixed(2);
-  targetYVal.textContent = parseFloat(targetY.value).toFixed(2);
+// Value labels next to the sliders, also refreshed after loading a state
+function syncControlLabels() {
+  syncInputLabels();
+  syncTargetLabels();
+  inputCountVal.textContent = inputCountSlider.value;
+  outputCountVal.textContent = outputCountSlider.value;
   lrVal.textContent = parseFloat(lrSlider.value).toFixed(2);
-  hiddenCountVal.textContent = String(architecture.hiddenNeuronCount);
+  weightDecayVal.textContent = parseFloat(weightDecaySlider.value).toFixed(3);
+  batchSizeVal.textContent = batchSizeSlider.value;
+  flowSpeedVal.textContent = `${flowSpeed()}×`;
+  initNoteEl.textContent = currentInitScheme().note;
+}
+
+function initUI() {
+  lossSelect.innerHTML = lossOptionsHtml("mse");
+  initSchemeSelect.innerHTML = Object.entries(INIT_SCHEMES)
+    .map(([key, scheme]) => `<option value="${key}">${scheme.label}</option>`)
+    .join("");
+  optimizerSelect.innerHTML = Object.entries(OPTIMIZERS)
+    .map(([key, optimizer]) => `<option value="${key}">${optimizer.label}</option>`)
+    .join("");
+  lrScheduleSelect.innerHTML = Object.entries(LR_SCHEDULES)
+    .map(([key, schedule]) => `<option value="${key}">${schedule.label}</option>`)
+    .join("");
+  compareOptimizerSelect.innerHTML = optimizerSelect.innerHTML;
+  compareScheduleSelect.innerHTML = lrScheduleSelect.innerHTML;
+  datasetSelect.innerHTML = Object.entries(DATASETS)
+    .map(([key, data]) => `<option value="${key}">${data.label}</option>`)
+    .join("");
+  syncControlLabels();
+  updateDataModeUI();
+  updateTrainingControls();
+  outputActivationSelect.innerHTML = activationOptionsHtml(architecture.activations[getLayerCount() - 1]);
+  renderHiddenLayerControls();
+  renderInputControls();
+  renderTargetControls();
 }
 
 function init() {
@@ -710,10 +5126,13 @@ function init() {
   initUI();
   updateLayout();
   drawNetwork();
+  renderStepList();
   renderVariableLegend();
   computeForward();
   computeBackward();
   renderStep();
+  loadStateFromHash();
+  drawLrFinder();
 }
 
 init();
@@ -0,0 +1,879 @@
+// Neural network engine
+// Everything the visualizer computes, without touching the DOM: activations,
+// losses, optimizers, learning-rate schedules, weight initialization and the
+// forward, backward and update passes. app.js is the UI on top of it. In the
+// browser this file is a plain script loaded before app.js; in Node it can
+// be required:
+//
+//   const { createNetwork } = require("./engine.js");
+//   const network = createNetwork({ layerSizes: [2, 2, 1], activations: ["sigmoid", "sigmoid"] });
+//   network.forward([0.2, -0.5]);
+//   network.backward([0.7]);
+//   network.step({ optimizer: "adam", learningRate: 0.05 });
+//
+// The passes below work on a model { params, activations, loss }:
+// - params:      { weights, biases } as described at initWeights
+// - activations: ACTIVATIONS key of every layer, output layer last
+// - loss:        LOSSES key
+
+const LEAKY_RELU_SLOPE = 0.01;
+const HUBER_DELTA = 1;
+const LOG_EPSILON = 1e-7; // keeps cross-entropy away from log(0)
+
+// Weight initialization
+// Weights come from a small seeded PRNG, so the same seed always gives
+// the same network: a whole class can follow along with the same numbers.
+// Init schemes, given the layer's fan-in and fan-out:
+// - weight(fanIn, fanOut, random): one starting weight
+// - bias(random):                  one starting bias
+// - note:                          why you would (or wouldn't) use it
+const UNIFORM_INIT_LIMIT = 0.8;
+
+const INIT_SCHEMES = {
+  uniform: {
+    label: "Uniform [-0.8, 0.8]",
+    weight: (fanIn, fanOut, random) => (random() * 2 - 1) * UNIFORM_INIT_LIMIT,
+    bias: (random) => (random() * 2 - 1) * UNIFORM_INIT_LIMIT,
+    note: "Every weight and bias is drawn evenly from [-0.8, 0.8], whatever the layer size.",
+  },
+  xavier: {
+    label: "Xavier / Glorot",
+    weight: (fanIn, fanOut, random) => (random() * 2 - 1) * Math.sqrt(6 / (fanIn + fanOut)),
+    bias: () => 0,
+    note:
+      "Weights are uniform in ±√(6 / (fan-in + fan-out)) so the signal keeps roughly the same " +
+      "spread through sigmoid and tanh layers. Biases start at 0.",
+  },
+  he: {
+    label: "He",
+    weight: (fanIn, fanOut, random) => randomNormal(random) * Math.sqrt(2 / fanIn),
+    bias: () => 0,
+    note:
+      "Weights are normal with standard deviation √(2 / fan-in), making up for ReLU " +
+      "zeroing half of its inputs. Biases start at 0.",
+  },
+  zeros: {
+    label: "All zeros",
+    weight: () => 0,
+    bias: () => 0,
+    note:
+      "Every neuron in a layer starts identical, gets the same gradient and stays identical: " +
+      "the symmetry problem. Train for a while and watch the hidden neurons never tell apart.",
+  },
+};
+
+// mulberry32: tiny, fast and good enough for picking starting weights
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Any text works as a seed ("lecture-3" as well as "42"), hashed with FNV-1a
+function seedFromText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function randomNormal(random = Math.random) {
+  // Box–Muller transform
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function sigmoidPrime(x) {
+  const s = sigmoid(x);
+  return s * (1 - s);
+}
+
+function softmax(values) {
+  const max = Math.max(...values); // shift for numerical stability
+  const exps = values.map((v) => Math.exp(v - max));
+  const total = exps.reduce((sum, e) => sum + e, 0);
+  return exps.map((e) => e / total);
+}
+
+// Activation functions selectable per layer.
+// - apply(z):            activations of a whole layer from its weighted sums
+// - slope(z, a):         derivative da[j]/dz[j] shown in the value cards
+// - derivative(z, a):    text of that derivative for the equations panel
+// - note:                what the slope means for the gradient flowing back
+// - range:               output range, for bounded activations only
+// - maxSlope:            peak slope of a squashing activation, for spotting
+//                        saturation (see gradientHealth)
+// - dies:                slope is exactly 0 for z ≤ 0, so a unit can stop learning
+// Softmax is the only one that mixes neurons (vector: true), so its full
+// Jacobian is used in activationBackward instead of the element-wise slope.
+const ACTIVATIONS = {
+  sigmoid: {
+    label: "sigmoid",
+    symbol: "σ",
+    range: [0, 1],
+    maxSlope: 0.25,
+    apply: (z) => z.map(sigmoid),
+    slope: (z) => sigmoidPrime(z),
+    derivative: (z) => `σ(${z})·(1 − σ(${z}))`,
+    note:
+      "The sigmoid slope is at most 0.25 (at z = 0) and shrinks towards 0 as |z| grows, " +
+      "so every sigmoid layer makes the gradient smaller.",
+  },
+  tanh: {
+    label: "tanh",
+    symbol: "tanh",
+    range: [-1, 1],
+    maxSlope: 1,
+    apply: (z) => z.map(Math.tanh),
+    slope: (z, a) => 1 - a * a,
+    derivative: (z) => `1 − tanh(${z})²`,
+    note:
+      "The tanh slope is at most 1 (at z = 0) but still shrinks towards 0 " +
+      "once the neuron saturates near ±1.",
+  },
+  relu: {
+    label: "ReLU",
+    symbol: "ReLU",
+    dies: true,
+    apply: (z) => z.map((v) => Math.max(0, v)),
+    slope: (z) => (z > 0 ? 1 : 0),
+    derivative: (z) => `1 if ${z} > 0, else 0`,
+    note:
+      "ReLU's slope is exactly 1 where z > 0, so the gradient passes through unchanged, " +
+      "and exactly 0 where z ≤ 0, so that neuron passes no gradient back at all.",
+  },
+  leakyRelu: {
+    label: "leaky ReLU",
+    symbol: "LReLU",
+    apply: (z) => z.map((v) => (v > 0 ? v : LEAKY_RELU_SLOPE * v)),
+    slope: (z) => (z > 0 ? 1 : LEAKY_RELU_SLOPE),
+    derivative: (z) => `1 if ${z} > 0, else ${LEAKY_RELU_SLOPE}`,
+    note:
+      `Leaky ReLU behaves like ReLU, but keeps a small slope of ${LEAKY_RELU_SLOPE} ` +
+      "for z ≤ 0, so no neuron ever stops learning completely.",
+  },
+  linear: {
+    label: "linear",
+    symbol: "id",
+    apply: (z) => z.slice(),
+    slope: () => 1,
+    derivative: () => "1",
+    note:
+      "A linear activation has slope 1 everywhere, so it never shrinks the gradient, " +
+      "but stacked linear layers can only ever learn a linear function.",
+  },
+  softmax: {
+    label: "softmax",
+    symbol: "softmax",
+    range: [0, 1],
+    vector: true,
+    apply: softmax,
+    slope: (z, a) => a * (1 - a),
+    derivative: (z, a) => `${a}·(1 − ${a})  (diagonal of the Jacobian)`,
+    note:
+      "Softmax makes a layer's activations sum to 1, so each dL/dz[j] depends on every " +
+      "neuron in the layer. A softmax over a single neuron is always 1 and passes no gradient.",
+  },
+};
+
+// dL/dz for one layer. Element-wise activations just scale dL/da by
+// their slope; softmax mixes every neuron, so we use its full Jacobian:
+// dL/dz[j] = a[j]·(dL/da[j] − Σ_k dL/da[k]·a[k]).
+function activationBackward(activation, weightedSums, activations, gradActivations) {
+  if (activation.vector) {
+    let dot = 0;
+    for (let k = 0; k < activations.length; k++) dot += gradActivations[k] * activations[k];
+    return activations.map((a, j) => a * (gradActivations[j] - dot));
+  }
+  return gradActivations.map(
+    (grad, j) => grad * activation.slope(weightedSums[j], activations[j])
+  );
+}
+
+function clampProbability(p) {
+  return Math.min(Math.max(p, LOG_EPSILON), 1 - LOG_EPSILON);
+}
+
+// Loss functions selectable in the controls panel.
+// - name:            how the loss is called in the step explanations
+// - value(ŷ, y):     the loss for one output; L adds them up over the outputs
+// - gradient(ŷ, y):  dL/dŷ for that output, where backprop starts
+// - formula / gradientText: how both are written in the equations panel
+// Categorical cross-entropy is already written as a sum over the outputs
+// (summed: true); the others are shown once per output when there are several.
+const LOSSES = {
+  mse: {
+    label: "Squared error (MSE)",
+    name: "squared loss",
+    formula: "L = ½ · (ŷ − y)²",
+    gradientText: "ŷ − y",
+    value: (prediction, target) => 0.5 * Math.pow(prediction - target, 2),
+    gradient: (prediction, target) => prediction - target,
+    note: "Squaring means large misses cost far more than small ones.",
+  },
+  bce: {
+    label: "Binary cross-entropy",
+    name: "binary cross-entropy",
+    formula: "L = −[y · ln(ŷ) + (1 − y) · ln(1 − ŷ)]",
+    gradientText: "(ŷ − y) / (ŷ · (1 − ŷ))",
+    value: (prediction, target) => {
+      const p = clampProbability(prediction);
+      return -(target * Math.log(p) + (1 - target) * Math.log(1 - p));
+    },
+    gradient: (prediction, target) => {
+      const p = clampProbability(prediction);
+      return (p - target) / (p * (1 - p));
+    },
+    note:
+      "Cross-entropy treats ŷ as a probability. Confident wrong answers are punished " +
+      "very hard: as ŷ moves to the wrong end, L grows without bound.",
+  },
+  mae: {
+    label: "Absolute error (MAE)",
+    name: "absolute error",
+    formula: "L = |ŷ − y|",
+    gradientText: "sign(ŷ − y)",
+    value: (prediction, target) => Math.abs(prediction - target),
+    gradient: (prediction, target) => Math.sign(prediction - target),
+    note:
+      "Every unit of error costs the same, so dL/dŷ is always ±1 " +
+      "no matter how far ŷ is from y.",
+  },
+  huber: {
+    label: `Huber (δ = ${HUBER_DELTA})`,
+    name: "Huber loss",
+    formula: `L = ½ · (ŷ − y)²  if |ŷ − y| ≤ δ,  else δ · (|ŷ − y| − ½ · δ)   (δ = ${HUBER_DELTA})`,
+    gradientText: "ŷ − y  if |ŷ − y| ≤ δ,  else δ · sign(ŷ − y)",
+    value: (prediction, target) => {
+      const error = Math.abs(prediction - target);
+      return error <= HUBER_DELTA
+        ? 0.5 * error * error
+        : HUBER_DELTA * (error - 0.5 * HUBER_DELTA);
+    },
+    gradient: (prediction, target) => {
+      const error = prediction - target;
+      return Math.abs(error) <= HUBER_DELTA ? error : HUBER_DELTA * Math.sign(error);
+    },
+    note:
+      "Huber loss is squared for small errors and absolute for large ones, " +
+      "so a single far-off example cannot produce a huge gradient.",
+  },
+  categorical: {
+    label: "Categorical cross-entropy",
+    name: "categorical cross-entropy",
+    summed: true,
+    formula: "L = −Σ_k y[k] · ln(ŷ[k])",
+    gradientText: "−y[k] / ŷ[k]",
+    value: (prediction, target) => -target * Math.log(clampProbability(prediction)),
+    gradient: (prediction, target) => -target / clampProbability(prediction),
+    note:
+      "With a one-hot target only the true class c counts, so L = −ln(ŷ[c]): " +
+      "the network is rewarded for putting as much probability as it can on the right class.",
+  },
+};
+
+// Optimizers selectable in the controls panel. Each one turns the
+// gradient g of one parameter into a change Δw and keeps its own
+// per-parameter state between updates.
+// - stepName:               how one update is called in the step title
+// - state:                  names of that state, all starting at 0
+// - update(g, state, t, α): updates state in place for update number t and
+//                           returns { delta, terms }, where terms holds extra
+//                           values worth showing (bias-corrected moments)
+// - equations:              the update rule for the equations panel
+// - delta:                  the change Δw in one line, for tooltips
+// - note:                   one sentence on what the state is for
+const MOMENTUM = 0.9;
+const RMSPROP_DECAY = 0.9;
+const ADAM_BETA1 = 0.9;
+const ADAM_BETA2 = 0.999;
+const OPTIMIZER_EPSILON = 1e-8;
+
+const OPTIMIZERS = {
+  sgd: {
+    label: "Gradient descent",
+    stepName: "gradient descent step",
+    state: [],
+    update: (g, state, t, lr) => ({ delta: -lr * g, terms: {} }),
+    equations: ["  w_new = w_old − α · g"],
+    delta: "−α · g",
+    note: "Plain gradient descent keeps no state: every step only looks at the current gradient.",
+  },
+  momentum: {
+    label: "Momentum",
+    stepName: "momentum step",
+    state: ["v"],
+    update: (g, state, t, lr) => {
+      state.v = MOMENTUM * state.v + g;
+      return { delta: -lr * state.v, terms: {} };
+    },
+    equations: [`  v ← β · v + g        (velocity, β = ${MOMENTUM})`, "  w_new = w_old − α · v"],
+    delta: "−α · v",
+    note:
+      "Momentum keeps a velocity v per parameter, so steps build up along directions " +
+      "the gradient keeps pointing in and cancel out where it flips back and forth.",
+  },
+  nesterov: {
+    label: "Nesterov momentum",
+    stepName: "Nesterov momentum step",
+    state: ["v"],
+    update: (g, state, t, lr) => {
+      state.v = MOMENTUM * state.v + g;
+      return { delta: -lr * (g + MOMENTUM * state.v), terms: {} };
+    },
+    equations: [
+      `  v ← β · v + g        (velocity, β = ${MOMENTUM})`,
+      "  w_new = w_old − α · (g + β · v)   (look ahead along v)",
+    ],
+    delta: "−α · (g + β · v)",
+    note:
+      "Nesterov momentum keeps the same velocity but steps as if it had already moved " +
+      "along it, which corrects overshooting a little earlier than plain momentum.",
+  },
+  rmsprop: {
+    label: "RMSProp",
+    stepName: "RMSProp step",
+    state: ["s"],
+    update: (g, state, t, lr) => {
+      state.s = RMSPROP_DECAY * state.s + (1 - RMSPROP_DECAY) * g * g;
+      return { delta: (-lr * g) / (Math.sqrt(state.s) + OPTIMIZER_EPSILON), terms: {} };
+    },
+    equations: [
+      `  s ← ρ · s + (1 − ρ) · g²    (ρ = ${RMSPROP_DECAY})`,
+      "  w_new = w_old − α · g / (√s + ε)",
+    ],
+    delta: "−α · g / (√s + ε)",
+    note:
+      "RMSProp keeps a running average s of squared gradients and divides by its root, " +
+      "so every parameter moves at a similar pace whatever the size of its gradient.",
+  },
+  adam: {
+    label: "Adam",
+    stepName: "Adam step",
+    state: ["m", "v"],
+    update: (g, state, t, lr) => {
+      state.m = ADAM_BETA1 * state.m + (1 - ADAM_BETA1) * g;
+      state.v = ADAM_BETA2 * state.v + (1 - ADAM_BETA2) * g * g;
+      const mHat = state.m / (1 - Math.pow(ADAM_BETA1, t));
+      const vHat = state.v / (1 - Math.pow(ADAM_BETA2, t));
+      return { delta: (-lr * mHat) / (Math.sqrt(vHat) + OPTIMIZER_EPSILON), terms: { "m̂": mHat, "v̂": vHat } };
+    },
+    equations: [
+      `  m ← β₁ · m + (1 − β₁) · g     (β₁ = ${ADAM_BETA1})`,
+      `  v ← β₂ · v + (1 − β₂) · g²    (β₂ = ${ADAM_BETA2})`,
+      "  m̂ = m / (1 − β₁ᵗ),  v̂ = v / (1 − β₂ᵗ)   (bias correction, t = update count)",
+      "  w_new = w_old − α · m̂ / (√v̂ + ε)",
+    ],
+    delta: "−α · m̂ / (√v̂ + ε)",
+    note:
+      "Adam combines both ideas: m is a momentum-like average of gradients, v an RMSProp-like " +
+      "average of squared gradients, and both are bias-corrected because they start at 0.",
+  },
+};
+
+// Learning-rate schedules. Each one turns the base α of the controls into
+// the α that update number t + 1 uses, t being the updates taken so far.
+// - formula:     the schedule for the equations panel
+// - rate(α, t):  that effective α
+// - note:        one sentence on why anyone would use it
+const LR_STEP_EVERY = 100;
+const LR_STEP_FACTOR = 0.5;
+const LR_EXPONENTIAL_DECAY = 0.99;
+const LR_COSINE_PERIOD = 200;
+const LR_WARMUP_STEPS = 50;
+
+const LR_SCHEDULES = {
+  constant: {
+    label: "Constant",
+    formula: "α_t = α",
+    rate: (lr) => lr,
+    note: "Every update uses the same α.",
+  },
+  step: {
+    label: "Step decay",
+    formula: `α_t = α · ${LR_STEP_FACTOR}^⌊t / ${LR_STEP_EVERY}⌋`,
+    rate: (lr, t) => lr * Math.pow(LR_STEP_FACTOR, Math.floor(t / LR_STEP_EVERY)),
+    note: `α halves every ${LR_STEP_EVERY} updates: big steps early on, finer ones once the loss has come down.`,
+  },
+  exponential: {
+    label: "Exponential decay",
+    formula: `α_t = α · ${LR_EXPONENTIAL_DECAY}^t`,
+    rate: (lr, t) => lr * Math.pow(LR_EXPONENTIAL_DECAY, t),
+    note: "α shrinks a little after every update, a smooth version of step decay.",
+  },
+  cosine: {
+    label: "Cosine annealing",
+    formula: `α_t = α · ½ · (1 + cos(π · (t mod ${LR_COSINE_PERIOD}) / ${LR_COSINE_PERIOD}))`,
+    rate: (lr, t) => lr * 0.5 * (1 + Math.cos((Math.PI * (t % LR_COSINE_PERIOD)) / LR_COSINE_PERIOD)),
+    note:
+      `α glides from its full value down to 0 over ${LR_COSINE_PERIOD} updates and then restarts, ` +
+      "which can shake training out of a flat region.",
+  },
+  warmup: {
+    label: "Linear warmup",
+    formula: `α_t = α · min(1, (t + 1) / ${LR_WARMUP_STEPS})`,
+    rate: (lr, t) => lr * Math.min(1, (t + 1) / LR_WARMUP_STEPS),
+    note: `α ramps up over the first ${LR_WARMUP_STEPS} updates, so early steps from random weights stay small.`,
+  },
+};
+
+function scheduledLearningRate(scheduleKey, learningRate, t) {
+  return (LR_SCHEDULES[scheduleKey] || LR_SCHEDULES.constant).rate(learningRate, t);
+}
+
+// Weights and biases are stored per layer. Layer 0 is the first hidden
+// layer and the last layer holds the output neurons:
+// - weights[layerIndex][neuronIndex][inputIndex]  (w[j,i] into that layer)
+// - biases[layerIndex][neuronIndex]                (b[j] of that layer)
+// layerSizes lists every layer, inputs included: [inputs, hidden..., outputs].
+function initWeights(layerSizes, schemeKey = "uniform", seedText = "42") {
+  const scheme = INIT_SCHEMES[schemeKey] || INIT_SCHEMES.uniform;
+  const random = seededRandom(seedFromText(String(seedText).trim()));
+  const weights = [];
+  const biases = [];
+
+  for (let layerIndex = 0; layerIndex < layerSizes.length - 1; layerIndex++) {
+    const inputCount = layerSizes[layerIndex];
+    const neuronCount = layerSizes[layerIndex + 1];
+    weights.push(
+      Array.from({ length: neuronCount }, () =>
+        Array.from({ length: inputCount }, () => scheme.weight(inputCount, neuronCount, random))
+      )
+    );
+    biases.push(Array.from({ length: neuronCount }, () => scheme.bias(random)));
+  }
+  return { weights, biases };
+}
+
+function cloneParams(source) {
+  return {
+    weights: source.weights.map((layer) => layer.map((row) => row.slice())),
+    biases: source.biases.map((layer) => layer.slice()),
+  };
+}
+
+// Forward pass for one example. Returns a fresh cache object so the same
+// code can run over a whole batch.
+function forwardPass(model, inputVector, targets) {
+  const { params } = model;
+  const layerWeightedSums = []; // z for every layer
+  const layerActivations = [];  // activations for every layer
+  let previousActivations = inputVector;
+
+  for (let layerIndex = 0; layerIndex < params.weights.length; layerIndex++) {
+    const weights = params.weights[layerIndex];
+    const biases = params.biases[layerIndex];
+    const weightedSums = new Array(weights.length);
+
+    for (let neuronIndex = 0; neuronIndex < weights.length; neuronIndex++) {
+      let sum = 0;
+      for (let inputIndex = 0; inputIndex < previousActivations.length; inputIndex++) {
+        sum += weights[neuronIndex][inputIndex] * previousActivations[inputIndex];
+      }
+      sum += biases[neuronIndex];
+      weightedSums[neuronIndex] = sum;
+    }
+    const activations = ACTIVATIONS[model.activations[layerIndex]].apply(weightedSums);
+
+    layerWeightedSums.push(weightedSums);
+    layerActivations.push(activations);
+    previousActivations = activations;
+  }
+
+  const outputSums = layerWeightedSums[layerWeightedSums.length - 1]; // z_out[k]
+  const predictions = layerActivations[layerActivations.length - 1];  // ŷ[k]
+
+  // Each output adds its own term to the loss
+  const lossFn = LOSSES[model.loss];
+  const outputLosses = predictions.map((prediction, outputIndex) =>
+    lossFn.value(prediction, targets[outputIndex])
+  );
+  const loss = outputLosses.reduce((total, term) => total + term, 0);
+
+  return {
+    inputVector,
+    targets,
+    layerWeightedSums,
+    layerActivations,
+    outputSums,
+    predictions,
+    outputLosses,
+    loss,
+  };
+}
+
+// Activations feeding into a layer: the inputs for layer 0,
+// otherwise the previous layer's activations.
+function layerInputs(example, layerIndex) {
+  return layerIndex === 0 ? example.inputVector : example.layerActivations[layerIndex - 1];
+}
+
+// Backward pass for one example, adding every gradient to its cache object.
+function backwardPass(model, example) {
+  const { params } = model;
+  const { targets, layerWeightedSums, layerActivations, predictions } = example;
+  const layerCount = params.weights.length;
+
+  const lossFn = LOSSES[model.loss];
+  const gradLossWrtPredictions = predictions.map((prediction, outputIndex) =>
+    lossFn.gradient(prediction, targets[outputIndex])
+  ); // dL/dŷ[k]
+
+  const gradLossWrtLayerActivations = new Array(layerCount); // dL/da[j] per layer
+  const gradActivationWrtLayerSums = new Array(layerCount);  // f'(z[j]) per layer
+  const gradLossWrtLayerSums = new Array(layerCount);        // dL/dz[j] per layer
+  const gradLossWrtWeights = new Array(layerCount);          // dL/dw[j,i] per layer
+  const gradLossWrtBiases = new Array(layerCount);           // dL/db[j] per layer
+
+  // Walk backwards from the output, reusing each layer's dL/dz
+  // to get the gradient flowing into the layer before it.
+  for (let layerIndex = layerCount - 1; layerIndex >= 0; layerIndex--) {
+    const weightedSums = layerWeightedSums[layerIndex];
+    const activations = layerActivations[layerIndex];
+    const activation = ACTIVATIONS[model.activations[layerIndex]];
+    const inputs = layerInputs(example, layerIndex);
+    const neuronCount = weightedSums.length;
+
+    let gradActivations = new Array(neuronCount);
+    if (layerIndex === layerCount - 1) {
+      gradActivations = gradLossWrtPredictions.slice();
+    } else {
+      const nextWeights = params.weights[layerIndex + 1];
+      const nextGradSums = gradLossWrtLayerSums[layerIndex + 1];
+      for (let neuronIndex = 0; neuronIndex < neuronCount; neuronIndex++) {
+        let sum = 0;
+        for (let nextIndex = 0; nextIndex < nextWeights.length; nextIndex++) {
+          sum += nextGradSums[nextIndex] * nextWeights[nextIndex][neuronIndex];
+        }
+        gradActivations[neuronIndex] = sum;
+      }
+    }
+
+    const gradSlopes = weightedSums.map((sum, neuronIndex) =>
+      activation.slope(sum, activations[neuronIndex])
+    );
+    const gradSums = activationBackward(activation, weightedSums, activations, gradActivations);
+    const gradWeights = Array.from({ length: neuronCount }, () => new Array(inputs.length));
+    const gradBiases = new Array(neuronCount);
+
+    for (let neuronIndex = 0; neuronIndex < neuronCount; neuronIndex++) {
+      for (let inputIndex = 0; inputIndex < inputs.length; inputIndex++) {
+        gradWeights[neuronIndex][inputIndex] = gradSums[neuronIndex] * inputs[inputIndex];
+      }
+
+      gradBiases[neuronIndex] = gradSums[neuronIndex];
+    }
+
+    gradLossWrtLayerActivations[layerIndex] = gradActivations;
+    gradActivationWrtLayerSums[layerIndex] = gradSlopes;
+    gradLossWrtLayerSums[layerIndex] = gradSums;
+    gradLossWrtWeights[layerIndex] = gradWeights;
+    gradLossWrtBiases[layerIndex] = gradBiases;
+  }
+
+  Object.assign(example, {
+    gradLossWrtPredictions,
+    gradLossWrtLayerActivations,
+    gradActivationWrtLayerSums,
+    gradLossWrtLayerSums,
+    gradLossWrtWeights,
+    gradLossWrtBiases,
+  });
+  return example;
+}
+
+// Average loss and parameter gradients over several { inputVector, targets } examples.
+function batchGradients(model, examples) {
+  const { params } = model;
+  const gradLossWrtWeights = params.weights.map((layer) => layer.map((row) => row.map(() => 0)));
+  const gradLossWrtBiases = params.biases.map((layer) => layer.map(() => 0));
+  let loss = 0;
+
+  examples.forEach(({ inputVector, targets }) => {
+    const example = backwardPass(model, forwardPass(model, inputVector, targets));
+    loss += example.loss / examples.length;
+    example.gradLossWrtWeights.forEach((layer, layerIndex) => {
+      layer.forEach((row, neuronIndex) => {
+        row.forEach((grad, inputIndex) => {
+          gradLossWrtWeights[layerIndex][neuronIndex][inputIndex] += grad / examples.length;
+        });
+        gradLossWrtBiases[layerIndex][neuronIndex] +=
+          example.gradLossWrtBiases[layerIndex][neuronIndex] / examples.length;
+      });
+    });
+  });
+
+  return { size: examples.length, loss, gradLossWrtWeights, gradLossWrtBiases };
+}
+
+function meanLoss(model, examples) {
+  let total = 0;
+  examples.forEach(({ inputVector, targets }) => {
+    total += forwardPass(model, inputVector, targets).loss;
+  });
+  return total / examples.length;
+}
+
+// Per-parameter optimizer state, laid out like params:
+// { step, weights[layer][neuron][input], biases[layer][neuron] }
+function createOptimizerState(params, optimizerKey) {
+  const fresh = () => Object.fromEntries(OPTIMIZERS[optimizerKey].state.map((key) => [key, 0]));
+  return {
+    step: 0,
+    weights: params.weights.map((layer) => layer.map((row) => row.map(fresh))),
+    biases: params.biases.map((layer) => layer.map(fresh)),
+  };
+}
+
+function cloneOptimizerState(source) {
+  return JSON.parse(JSON.stringify(source));
+}
+
+// One optimizer step on model.params from { gradLossWrtWeights,
+// gradLossWrtBiases } (one example's cache or batchGradients). L2 weight
+// decay adds λ·w to the gradient of every weight; biases are not decayed.
+// Updates params and optimizerState in place and returns what happened to
+// each parameter, laid out like params, as { gradient, delta, state, terms }.
+function optimizerStep(model, optimizerState, gradients, { optimizer = "sgd", learningRate = 0.1, weightDecay = 0 } = {}) {
+  const { params } = model;
+  const { gradLossWrtWeights, gradLossWrtBiases } = gradients;
+  const rule = OPTIMIZERS[optimizer];
+
+  optimizerState.step += 1;
+  const t = optimizerState.step;
+  const stepParameter = (gradient, state) => {
+    const { delta, terms } = rule.update(gradient, state, t, learningRate);
+    return { gradient, delta, state: { ...state }, terms };
+  };
+
+  const weightSteps = [];
+  const biasSteps = [];
+  for (let layerIndex = 0; layerIndex < params.weights.length; layerIndex++) {
+    const weights = params.weights[layerIndex];
+    weightSteps.push([]);
+    biasSteps.push([]);
+    for (let neuronIndex = 0; neuronIndex < weights.length; neuronIndex++) {
+      weightSteps[layerIndex].push([]);
+      for (let inputIndex = 0; inputIndex < weights[neuronIndex].length; inputIndex++) {
+        const gradient =
+          gradLossWrtWeights[layerIndex][neuronIndex][inputIndex] + weightDecay * weights[neuronIndex][inputIndex];
+        const weightStep = stepParameter(gradient, optimizerState.weights[layerIndex][neuronIndex][inputIndex]);
+        weights[neuronIndex][inputIndex] += weightStep.delta;
+        weightSteps[layerIndex][neuronIndex].push(weightStep);
+      }
+      const biasStep = stepParameter(
+        gradLossWrtBiases[layerIndex][neuronIndex],
+        optimizerState.biases[layerIndex][neuronIndex]
+      );
+      params.biases[layerIndex][neuronIndex] += biasStep.delta;
+      biasSteps[layerIndex].push(biasStep);
+    }
+  }
+  return { step: t, weights: weightSteps, biases: biasSteps };
+}
+
+// Gradient health
+// Checks one example's forward and backward pass for the usual reasons
+// training stalls or blows up:
+// - saturated: a squashing activation far out in its flat tail, with a slope
+//   under SATURATED_SLOPE_FRACTION of its peak, so little gradient gets through
+// - dead:      an activation that dies (ReLU) with z ≤ 0 for every one of
+//   `examples`; "inactive" when only this example was checked
+// - vanishing: a layer whose ‖dL/dW‖ is under VANISHING_GRADIENT_RATIO of the
+//   output layer's, exploding: over EXPLODING_GRADIENT_NORM
+// - nonFinite: NaN or Infinity anywhere in the pass
+// Returns { units: [{ layerIndex, neuronIndex, kind, z, slope }],
+// layers: [{ layerIndex, norm, kind }], nonFinite }; kind is null for a
+// healthy layer. Layers are only checked once the backward pass has run.
+const SATURATED_SLOPE_FRACTION = 0.05;
+const VANISHING_GRADIENT_RATIO = 0.01;
+const EXPLODING_GRADIENT_NORM = 10;
+
+function gradientHealth(model, example, examples = [example]) {
+  const units = [];
+  const passes = examples.map(({ inputVector, targets }) => forwardPass(model, inputVector, targets));
+
+  example.layerWeightedSums.forEach((sums, layerIndex) => {
+    const activation = ACTIVATIONS[model.activations[layerIndex]];
+    sums.forEach((z, neuronIndex) => {
+      const a = example.layerActivations[layerIndex][neuronIndex];
+      if (!Number.isFinite(z) || !Number.isFinite(a)) {
+        units.push({ layerIndex, neuronIndex, kind: "nonFinite", z, slope: NaN });
+        return;
+      }
+      const slope = activation.slope(z, a);
+      if (activation.maxSlope && slope < SATURATED_SLOPE_FRACTION * activation.maxSlope) {
+        units.push({ layerIndex, neuronIndex, kind: "saturated", z, slope });
+      } else if (activation.dies && passes.every((pass) => !(pass.layerWeightedSums[layerIndex][neuronIndex] > 0))) {
+        units.push({ layerIndex, neuronIndex, kind: examples.length > 1 ? "dead" : "inactive", z, slope });
+      }
+    });
+  });
+
+  const layers = [];
+  if (example.gradLossWrtWeights) {
+    const norms = example.gradLossWrtWeights.map((layer) =>
+      Math.sqrt(layer.reduce((sum, row) => row.reduce((rowSum, grad) => rowSum + grad * grad, sum), 0))
+    );
+    const outputNorm = norms[norms.length - 1];
+    norms.forEach((norm, layerIndex) => {
+      let kind = null;
+      if (!Number.isFinite(norm)) kind = "nonFinite";
+      else if (norm > EXPLODING_GRADIENT_NORM) kind = "exploding";
+      else if (layerIndex < norms.length - 1 && norm < VANISHING_GRADIENT_RATIO * outputNorm) kind = "vanishing";
+      layers.push({ layerIndex, norm, kind });
+    });
+  }
+
+  const nonFinite =
+    !Number.isFinite(example.loss) ||
+    units.some((unit) => unit.kind === "nonFinite") ||
+    layers.some((layer) => layer.kind === "nonFinite");
+  return { units, layers, nonFinite };
+}
+
+// Learning-rate range test for one rate: full-batch training from a copy of
+// model.params with fresh optimizer state, returning the mean loss it ends
+// on. Runs that blow up stop early with Infinity.
+function lossAfterTraining(model, examples, { optimizer = "sgd", learningRate, weightDecay = 0, steps }) {
+  const trial = { ...model, params: cloneParams(model.params) };
+  const state = createOptimizerState(trial.params, optimizer);
+  for (let stepIndex = 0; stepIndex < steps; stepIndex++) {
+    const gradients = batchGradients(trial, examples);
+    if (!Number.isFinite(gradients.loss)) return Infinity;
+    optimizerStep(trial, state, gradients, { optimizer, learningRate, weightDecay });
+  }
+  const loss = meanLoss(trial, examples);
+  return Number.isFinite(loss) ? loss : Infinity;
+}
+
+// Network
+// A model with its own optimizer state and last pass, for scripts and
+// tests. forward(x, y) runs one example (y only matters for the loss),
+// backward(y) adds the gradients to the last forward pass (against new
+// targets when given), and step(settings) takes one optimizer step from
+// those gradients, or from the average over `examples` when given.
+const NETWORK_FORMAT_VERSION = 1;
+
+function createNetwork({
+  layerSizes,
+  activations = layerSizes.slice(1).map(() => "sigmoid"),
+  loss = "mse",
+  init = "uniform",
+  seed = "42",
+  params = initWeights(layerSizes, init, seed),
+  optimizer = "sgd",
+  optimizerState = createOptimizerState(params, optimizer),
+}) {
+  if (activations.length !== layerSizes.length - 1) {
+    throw new Error(`Expected ${layerSizes.length - 1} activations, got ${activations.length}`);
+  }
+  [...activations.map((key) => [ACTIVATIONS, key]), [LOSSES, loss], [OPTIMIZERS, optimizer]].forEach(([registry, key]) => {
+    if (!registry[key]) throw new Error(`Unknown name: ${key}`);
+  });
+
+  const model = { params, activations: activations.slice(), loss };
+  const outputCount = layerSizes[layerSizes.length - 1];
+  let last = null;
+  let state = optimizerState;
+  let stateOptimizer = optimizer;
+
+  return {
+    layerSizes: layerSizes.slice(),
+    model,
+    get optimizerState() {
+      return state;
+    },
+    forward(inputVector, targets = new Array(outputCount).fill(0)) {
+      if (inputVector.length !== layerSizes[0]) {
+        throw new Error(`Expected ${layerSizes[0]} inputs, got ${inputVector.length}`);
+      }
+      last = forwardPass(model, inputVector, targets);
+      return last;
+    },
+    backward(targets) {
+      if (!last) throw new Error("Run forward() before backward()");
+      if (targets !== undefined) last = forwardPass(model, last.inputVector, targets);
+      return backwardPass(model, last);
+    },
+    loss(examples) {
+      return meanLoss(model, examples);
+    },
+    step({ optimizer: key = stateOptimizer, learningRate, weightDecay, examples } = {}) {
+      // Switching optimizer starts its state from zero, as in the UI
+      if (key !== stateOptimizer) {
+        state = createOptimizerState(params, key);
+        stateOptimizer = key;
+      }
+      const gradients = examples ? batchGradients(model, examples) : last;
+      if (!gradients || !gradients.gradLossWrtWeights) throw new Error("Run backward() or pass examples to step()");
+      const steps = optimizerStep(model, state, gradients, { optimizer: key, learningRate, weightDecay });
+      last = null;
+      return steps;
+    },
+    serialize() {
+      return {
+        version: NETWORK_FORMAT_VERSION,
+        layerSizes: layerSizes.slice(),
+        activations: model.activations.slice(),
+        loss,
+        params: cloneParams(params),
+        optimizer: stateOptimizer,
+        optimizerState: cloneOptimizerState(state),
+      };
+    },
+  };
+}
+
+function loadNetwork(data) {
+  if (!data || data.version !== NETWORK_FORMAT_VERSION) {
+    throw new Error(`Unsupported network format version: ${data && data.version}`);
+  }
+  return createNetwork({
+    layerSizes: data.layerSizes,
+    activations: data.activations,
+    loss: data.loss,
+    params: cloneParams(data.params),
+    optimizer: data.optimizer,
+    optimizerState: cloneOptimizerState(data.optimizerState),
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ACTIVATIONS,
+    LOSSES,
+    OPTIMIZERS,
+    LR_SCHEDULES,
+    INIT_SCHEMES,
+    seededRandom,
+    seedFromText,
+    initWeights,
+    cloneParams,
+    forwardPass,
+    backwardPass,
+    layerInputs,
+    batchGradients,
+    meanLoss,
+    createOptimizerState,
+    cloneOptimizerState,
+    optimizerStep,
+    scheduledLearningRate,
+    lossAfterTraining,
+    gradientHealth,
+    createNetwork,
+    loadNetwork,
+  };
+}
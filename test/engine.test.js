@@ -0,0 +1,266 @@
+// Tests for engine.js: run with `npm test` (or `node --test`) from the project root.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  ACTIVATIONS,
+  LOSSES,
+  OPTIMIZERS,
+  LR_SCHEDULES,
+  INIT_SCHEMES,
+  initWeights,
+  cloneParams,
+  forwardPass,
+  backwardPass,
+  batchGradients,
+  scheduledLearningRate,
+  lossAfterTraining,
+  gradientHealth,
+  createNetwork,
+  loadNetwork,
+} = require("../engine.js");
+
+const EPSILON = 1e-6;
+const TOLERANCE = 1e-6;
+
+// Central finite difference of the loss for every weight and bias,
+// compared against backprop's gradient
+function assertGradientsMatch(model, inputVector, targets, label) {
+  const example = backwardPass(model, forwardPass(model, inputVector, targets));
+  const lossAt = () => forwardPass(model, inputVector, targets).loss;
+  const check = (container, key, analytic, name) => {
+    const original = container[key];
+    container[key] = original + EPSILON;
+    const lossPlus = lossAt();
+    container[key] = original - EPSILON;
+    const lossMinus = lossAt();
+    container[key] = original;
+    const numeric = (lossPlus - lossMinus) / (2 * EPSILON);
+    const scale = Math.max(1, Math.abs(analytic), Math.abs(numeric));
+    assert.ok(
+      Math.abs(analytic - numeric) / scale < TOLERANCE,
+      `${label}: ${name} backprop ${analytic} vs numeric ${numeric}`
+    );
+  };
+
+  model.params.weights.forEach((layer, layerIndex) => {
+    layer.forEach((row, neuronIndex) => {
+      row.forEach((_, inputIndex) => {
+        check(row, inputIndex, example.gradLossWrtWeights[layerIndex][neuronIndex][inputIndex], `w[${layerIndex}][${neuronIndex}][${inputIndex}]`);
+      });
+      check(model.params.biases[layerIndex], neuronIndex, example.gradLossWrtBiases[layerIndex][neuronIndex], `b[${layerIndex}][${neuronIndex}]`);
+    });
+  });
+}
+
+test("hand-computed forward pass of a 1-1-1 network", () => {
+  const model = {
+    params: { weights: [[[0.5]], [[2]]], biases: [[0.1], [-0.3]] },
+    activations: ["relu", "linear"],
+    loss: "mse",
+  };
+  const example = forwardPass(model, [1], [1]);
+  // z_h = 0.5·1 + 0.1 = 0.6, h = 0.6, ŷ = 2·0.6 − 0.3 = 0.9, L = ½·(0.9 − 1)²
+  assert.ok(Math.abs(example.layerWeightedSums[0][0] - 0.6) < 1e-12);
+  assert.ok(Math.abs(example.predictions[0] - 0.9) < 1e-12);
+  assert.ok(Math.abs(example.loss - 0.005) < 1e-12);
+});
+
+test("backprop matches finite differences for every hidden activation and element-wise loss", () => {
+  const elementwiseLosses = Object.keys(LOSSES).filter((key) => key !== "categorical");
+  Object.keys(ACTIVATIONS)
+    .filter((key) => !ACTIVATIONS[key].vector)
+    .forEach((hidden) => {
+      elementwiseLosses.forEach((loss) => {
+        const model = {
+          params: initWeights([3, 4, 3, 2], "uniform", `${hidden}-${loss}`),
+          activations: [hidden, hidden, "sigmoid"],
+          loss,
+        };
+        assertGradientsMatch(model, [0.3, -0.7, 0.55], [0.2, 0.9], `${hidden} + ${loss}`);
+      });
+    });
+});
+
+test("backprop matches finite differences through softmax layers", () => {
+  const model = {
+    params: initWeights([2, 3, 3], "xavier", "softmax"),
+    activations: ["softmax", "softmax"],
+    loss: "categorical",
+  };
+  assertGradientsMatch(model, [0.4, -0.2], [0, 1, 0], "softmax + categorical");
+  model.loss = "mse";
+  assertGradientsMatch(model, [0.4, -0.2], [0.1, 0.6, 0.3], "softmax + mse");
+});
+
+test("cross-entropy on sigmoid or softmax outputs gives dL/dz_out = ŷ − y", () => {
+  const cases = [
+    { activation: "sigmoid", loss: "bce", sizes: [2, 2, 1], targets: [1] },
+    { activation: "softmax", loss: "categorical", sizes: [2, 2, 3], targets: [0, 0, 1] },
+  ];
+  cases.forEach(({ activation, loss, sizes, targets }) => {
+    const model = { params: initWeights(sizes, "uniform", "7"), activations: ["tanh", activation], loss };
+    const example = backwardPass(model, forwardPass(model, [0.5, -0.25], targets));
+    const outputGradients = example.gradLossWrtLayerSums[1];
+    example.predictions.forEach((prediction, outputIndex) => {
+      assert.ok(Math.abs(outputGradients[outputIndex] - (prediction - targets[outputIndex])) < 1e-9, `${activation} + ${loss}`);
+    });
+  });
+});
+
+test("batch gradients are the average of the per-example gradients", () => {
+  const model = { params: initWeights([2, 3, 1], "he", "batch"), activations: ["relu", "sigmoid"], loss: "bce" };
+  const examples = [
+    { inputVector: [0.1, 0.9], targets: [1] },
+    { inputVector: [-0.5, 0.3], targets: [0] },
+    { inputVector: [0.8, -0.8], targets: [1] },
+  ];
+  const batch = batchGradients(model, examples);
+  const singles = examples.map(({ inputVector, targets }) => backwardPass(model, forwardPass(model, inputVector, targets)));
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+  assert.equal(batch.size, 3);
+  assert.ok(Math.abs(batch.loss - mean(singles.map((single) => single.loss))) < 1e-12);
+  assert.ok(
+    Math.abs(batch.gradLossWrtWeights[0][2][1] - mean(singles.map((single) => single.gradLossWrtWeights[0][2][1]))) < 1e-12
+  );
+  assert.ok(Math.abs(batch.gradLossWrtBiases[1][0] - mean(singles.map((single) => single.gradLossWrtBiases[1][0]))) < 1e-12);
+});
+
+test("the same seed gives the same weights, every init scheme included", () => {
+  Object.keys(INIT_SCHEMES).forEach((scheme) => {
+    assert.deepEqual(initWeights([2, 3, 1], scheme, "lecture-3"), initWeights([2, 3, 1], scheme, "lecture-3"));
+  });
+  assert.notDeepEqual(initWeights([2, 3, 1], "uniform", "1"), initWeights([2, 3, 1], "uniform", "2"));
+});
+
+test("a gradient descent step moves every parameter by −α·g", () => {
+  const network = createNetwork({ layerSizes: [2, 2, 1], seed: "step" });
+  const before = cloneParams(network.model.params);
+  const example = network.forward([0.2, -0.5], [0.7]);
+  network.backward();
+  network.step({ learningRate: 0.5 });
+
+  const after = network.model.params;
+  assert.ok(Math.abs(after.weights[0][1][0] - (before.weights[0][1][0] - 0.5 * example.gradLossWrtWeights[0][1][0])) < 1e-12);
+  assert.ok(Math.abs(after.biases[1][0] - (before.biases[1][0] - 0.5 * example.gradLossWrtBiases[1][0])) < 1e-12);
+});
+
+test("weight decay adds λ·w to weight gradients only", () => {
+  const network = createNetwork({ layerSizes: [1, 1], activations: ["linear"], params: { weights: [[[2]]], biases: [[1]] } });
+  network.forward([0], [0]);
+  network.backward();
+  // x = 0, so dL/dw = 0 and only decay moves w; dL/db = ŷ − y = 1
+  network.step({ learningRate: 0.1, weightDecay: 0.5 });
+  assert.ok(Math.abs(network.model.params.weights[0][0][0] - (2 - 0.1 * 0.5 * 2)) < 1e-12);
+  assert.ok(Math.abs(network.model.params.biases[0][0] - (1 - 0.1 * 1)) < 1e-12);
+});
+
+test("Adam's first step has size α whatever the gradient", () => {
+  const network = createNetwork({ layerSizes: [1, 1], activations: ["linear"], optimizer: "adam", params: { weights: [[[0.3]]], biases: [[0]] } });
+  network.forward([1], [5]);
+  network.backward();
+  network.step({ learningRate: 0.01 });
+  assert.ok(Math.abs(network.model.params.weights[0][0][0] - 0.31) < 1e-6);
+  assert.equal(network.optimizerState.step, 1);
+});
+
+test("every optimizer learns XOR on a small network", () => {
+  const xor = [
+    { inputVector: [0, 0], targets: [0] },
+    { inputVector: [0, 1], targets: [1] },
+    { inputVector: [1, 0], targets: [1] },
+    { inputVector: [1, 1], targets: [0] },
+  ];
+  const rates = { sgd: 2, momentum: 0.5, nesterov: 0.5, rmsprop: 0.02, adam: 0.05 };
+  Object.keys(OPTIMIZERS).forEach((optimizer) => {
+    const network = createNetwork({ layerSizes: [2, 4, 1], activations: ["tanh", "sigmoid"], loss: "bce", seed: "xor", optimizer });
+    const startLoss = network.loss(xor);
+    for (let iteration = 0; iteration < 2000; iteration++) {
+      network.step({ learningRate: rates[optimizer], examples: xor });
+    }
+    const endLoss = network.loss(xor);
+    assert.ok(endLoss < 0.1 && endLoss < startLoss, `${optimizer}: loss ${startLoss} → ${endLoss}`);
+  });
+});
+
+test("learning-rate schedules start at or below α and decay or warm up as documented", () => {
+  Object.keys(LR_SCHEDULES).forEach((key) => {
+    const first = scheduledLearningRate(key, 0.4, 0);
+    assert.ok(first > 0 && first <= 0.4, `${key}: ${first}`);
+  });
+  assert.equal(scheduledLearningRate("constant", 0.4, 1000), 0.4);
+  assert.equal(scheduledLearningRate("step", 0.4, 99), 0.4);
+  assert.equal(scheduledLearningRate("step", 0.4, 100), 0.2);
+  assert.ok(Math.abs(scheduledLearningRate("exponential", 0.4, 2) - 0.4 * 0.99 * 0.99) < 1e-12);
+  assert.ok(scheduledLearningRate("cosine", 0.4, 100) < scheduledLearningRate("cosine", 0.4, 50));
+  assert.ok(scheduledLearningRate("warmup", 0.4, 0) < scheduledLearningRate("warmup", 0.4, 10));
+  assert.equal(scheduledLearningRate("warmup", 0.4, 1000), 0.4);
+  assert.equal(scheduledLearningRate("unknown", 0.4, 5), 0.4);
+});
+
+test("the learning-rate range test leaves params alone and flags rates that blow up", () => {
+  const model = { params: { weights: [[[0.3]]], biases: [[0]] }, activations: ["linear"], loss: "mse" };
+  const examples = [{ inputVector: [1], targets: [2] }, { inputVector: [2], targets: [4] }];
+  const startLoss = lossAfterTraining(model, examples, { learningRate: 0.1, steps: 0 });
+  const trained = lossAfterTraining(model, examples, { learningRate: 0.1, steps: 30 });
+  assert.ok(trained < startLoss / 10, `${startLoss} → ${trained}`);
+  assert.deepEqual(model.params, { weights: [[[0.3]]], biases: [[0]] });
+  assert.equal(lossAfterTraining(model, examples, { learningRate: 100, steps: 300 }), Infinity);
+});
+
+test("gradient health flags saturated and dead units, vanishing layers and NaN", () => {
+  const passFor = (model, inputVector, targets) => backwardPass(model, forwardPass(model, inputVector, targets));
+
+  // z = 6 puts the sigmoid in its flat tail; the ReLU unit never switches on
+  const model = {
+    params: { weights: [[[6], [-1]], [[1, 1]]], biases: [[0, -1], [0]] },
+    activations: ["sigmoid", "sigmoid"],
+    loss: "mse",
+  };
+  const example = passFor(model, [1], [0]);
+  assert.deepEqual(gradientHealth(model, example).units.map((unit) => [unit.neuronIndex, unit.kind]), [[0, "saturated"]]);
+
+  const reluModel = {
+    ...model,
+    params: { weights: [[[6], [-1]], [[0.1, 0.1]]], biases: [[0, -1], [0]] },
+    activations: ["relu", "sigmoid"],
+  };
+  const examples = [{ inputVector: [1], targets: [0] }, { inputVector: [2], targets: [1] }];
+  const reluHealth = gradientHealth(reluModel, passFor(reluModel, [1], [0]), examples);
+  assert.deepEqual(reluHealth.units.map((unit) => [unit.neuronIndex, unit.kind]), [[1, "dead"]]);
+
+  const deep = {
+    params: { weights: [[[20]], [[0.01]], [[1]]], biases: [[0], [0], [0]] },
+    activations: ["sigmoid", "sigmoid", "linear"],
+    loss: "mse",
+  };
+  const deepHealth = gradientHealth(deep, passFor(deep, [1], [3]));
+  assert.equal(deepHealth.layers[0].kind, "vanishing");
+  assert.equal(deepHealth.layers[2].kind, null);
+  assert.equal(deepHealth.nonFinite, false);
+
+  const broken = { ...model, params: { weights: [[[NaN], [1]], [[1, 1]]], biases: [[0, 0], [0]] } };
+  assert.equal(gradientHealth(broken, passFor(broken, [1], [0])).nonFinite, true);
+});
+
+test("serialize and loadNetwork round-trip weights and optimizer state", () => {
+  const network = createNetwork({ layerSizes: [3, 2, 2], activations: ["relu", "softmax"], loss: "categorical", optimizer: "momentum" });
+  network.forward([0.1, 0.2, 0.3], [1, 0]);
+  network.backward();
+  network.step({ learningRate: 0.1 });
+
+  const data = JSON.parse(JSON.stringify(network.serialize()));
+  const copy = loadNetwork(data);
+  assert.deepEqual(copy.serialize(), network.serialize());
+  assert.deepEqual(copy.forward([0.3, -0.1, 0.9]).predictions, network.forward([0.3, -0.1, 0.9]).predictions);
+  assert.throws(() => loadNetwork({ ...data, version: 99 }), /version/);
+});
+
+test("createNetwork rejects unknown names and mismatched inputs", () => {
+  assert.throws(() => createNetwork({ layerSizes: [2, 1], activations: ["swish"] }), /Unknown/);
+  assert.throws(() => createNetwork({ layerSizes: [2, 2, 1], activations: ["relu"] }), /activations/);
+  const network = createNetwork({ layerSizes: [2, 1] });
+  assert.throws(() => network.forward([1, 2, 3]), /inputs/);
+  assert.throws(() => network.step({ learningRate: 0.1 }), /backward/);
+});